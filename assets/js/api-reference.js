@@ -0,0 +1,300 @@
+// Renders api.html from the OpenAPI document. The API serves it bundled at
+// /api/openapi.json; when the API cannot be reached (e.g. with `npm start`)
+// the page bundles data/openapi.json and data/cert.schema.json itself.
+
+const METHOD_ORDER = ['get', 'post', 'put', 'patch', 'delete'];
+const SCHEMA_PREFIX = '#/components/schemas/';
+
+class CERTApiReference {
+    constructor() {
+        this.doc = null;
+        this.init();
+    }
+
+    async init() {
+        try {
+            this.doc = await this.loadDocument();
+        } catch (error) {
+            console.error('Error loading the OpenAPI document:', error);
+            document.getElementById('api-operations').innerHTML =
+                '<p class="api-status api-status-error">The API description could not be loaded.</p>';
+            return;
+        }
+
+        this.renderIntro();
+        this.renderToc();
+        this.renderOperations();
+        this.renderSchemas();
+
+        // The anchor did not exist before rendering
+        if (location.hash) {
+            const target = document.getElementById(this.decodeHash(location.hash));
+            if (target) target.scrollIntoView();
+        }
+    }
+
+    async loadDocument() {
+        try {
+            const response = await fetch('/api/openapi.json');
+            if (response.ok) {
+                return await response.json();
+            }
+        } catch (error) {
+            console.warn('API not reachable, bundling the OpenAPI document locally:', error);
+        }
+
+        const [spec, certSchema] = await Promise.all(['data/openapi.json', 'data/cert.schema.json'].map(async (url) => {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} for ${url}`);
+            }
+            return response.json();
+        }));
+
+        document.getElementById('api-document-link').href = 'data/openapi.json';
+        return CERTOpenApi.bundle(spec, certSchema);
+    }
+
+    renderIntro() {
+        const { info, servers } = this.doc;
+
+        document.title = `📘 ${info.title} ${info.version} - Reference`;
+        document.getElementById('api-description').innerHTML = (info.description || '')
+            .split('\n\n')
+            .map(paragraph => `<p>${this.formatText(paragraph)}</p>`)
+            .join('');
+
+        if (servers && servers.length > 0) {
+            document.getElementById('api-server').textContent = servers[0].url;
+        }
+    }
+
+    // Operations grouped by their first tag, in the order the tags are declared
+    groupedOperations() {
+        const operations = CERTOpenApi.operations(this.doc);
+        const tags = [...(this.doc.tags || []).map(tag => tag.name), ...operations.map(item => (item.operation.tags || ['Other'])[0])];
+
+        return [...new Set(tags)]
+            .map(name => ({
+                tag: (this.doc.tags || []).find(tag => tag.name === name) || { name },
+                operations: operations
+                    .filter(item => (item.operation.tags || ['Other'])[0] === name)
+                    .sort((a, b) => a.path.localeCompare(b.path) || METHOD_ORDER.indexOf(a.method) - METHOD_ORDER.indexOf(b.method))
+            }))
+            .filter(group => group.operations.length > 0);
+    }
+
+    operationAnchor({ method, path, operation }) {
+        return operation.operationId || `${method}-${path.replace(/[^a-z0-9]+/gi, '-')}`;
+    }
+
+    renderToc() {
+        document.getElementById('api-toc').innerHTML = `
+            ${this.groupedOperations().map(group => `
+                <h3 class="api-toc-title">${this.escapeHtml(group.tag.name)}</h3>
+                <ul class="api-toc-list">
+                    ${group.operations.map(item => `
+                        <li>
+                            <a href="#${this.escapeHtml(this.operationAnchor(item))}">
+                                <span class="api-method api-method-${item.method}">${item.method.toUpperCase()}</span>
+                                <span class="api-path">${this.escapeHtml(item.path)}</span>
+                            </a>
+                        </li>
+                    `).join('')}
+                </ul>
+            `).join('')}
+            <h3 class="api-toc-title"><a href="#schemas">Schemas</a></h3>
+        `;
+    }
+
+    renderOperations() {
+        document.getElementById('api-operations').innerHTML = this.groupedOperations().map(group => `
+            <section class="api-group">
+                <h2 class="api-group-title">${this.escapeHtml(group.tag.name)}</h2>
+                ${group.tag.description ? `<p class="api-group-description">${this.formatText(group.tag.description)}</p>` : ''}
+                ${group.operations.map(item => this.renderOperation(item)).join('')}
+            </section>
+        `).join('');
+    }
+
+    renderOperation(item) {
+        const { method, path, operation, parameters } = item;
+
+        return `
+            <article class="api-operation" id="${this.escapeHtml(this.operationAnchor(item))}">
+                <header class="api-operation-header">
+                    <span class="api-method api-method-${method}">${method.toUpperCase()}</span>
+                    <code class="api-path">${this.escapeHtml(path)}</code>
+                    <span class="api-summary">${this.escapeHtml(operation.summary || '')}</span>
+                </header>
+                ${operation.description ? `<p>${this.formatText(operation.description)}</p>` : ''}
+                ${this.renderSecurity(operation)}
+                ${parameters.length > 0 ? this.renderParameters(parameters) : ''}
+                ${operation.requestBody ? this.renderRequestBody(operation.requestBody) : ''}
+                ${this.renderResponses(operation.responses)}
+            </article>
+        `;
+    }
+
+    renderSecurity(operation) {
+        const requirements = operation.security || this.doc.security || [];
+        if (requirements.length === 0) {
+            return '';
+        }
+
+        const optional = requirements.some(requirement => Object.keys(requirement).length === 0);
+        return `<p class="api-auth">🔑 ${optional ? 'An API key is optional' : 'Needs an API key'} (<code>Authorization: Bearer &lt;key&gt;</code>)</p>`;
+    }
+
+    renderParameters(parameters) {
+        return `
+            <h4 class="api-subtitle">Parameters</h4>
+            <div class="api-table-wrapper">
+                <table class="api-table">
+                    <thead><tr><th>Name</th><th>In</th><th>Type</th><th>Description</th></tr></thead>
+                    <tbody>
+                        ${parameters.map(parameter => `
+                            <tr>
+                                <th><code>${this.escapeHtml(parameter.name)}</code>${parameter.required ? ' <span class="api-required">required</span>' : ''}</th>
+                                <td>${this.escapeHtml(parameter.in)}</td>
+                                <td>${this.schemaLabel(parameter.schema)}</td>
+                                <td>
+                                    ${this.formatText(parameter.description || '')}
+                                    ${parameter.schema && parameter.schema.default !== undefined ? `<span class="api-hint">Default: <code>${this.escapeHtml(String(parameter.schema.default))}</code></span>` : ''}
+                                    ${parameter.example !== undefined ? `<span class="api-hint">Example: <code>${this.escapeHtml(String(parameter.example))}</code></span>` : ''}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    renderRequestBody(requestBody) {
+        return `
+            <h4 class="api-subtitle">Request body${requestBody.required ? ' <span class="api-required">required</span>' : ''}</h4>
+            <ul class="api-media">
+                ${Object.entries(requestBody.content || {}).map(([mediaType, media]) => `
+                    <li><code>${this.escapeHtml(mediaType)}</code>: ${this.schemaLabel(media.schema)}</li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    renderResponses(responses) {
+        return `
+            <h4 class="api-subtitle">Responses</h4>
+            <div class="api-table-wrapper">
+                <table class="api-table">
+                    <thead><tr><th>Status</th><th>Description</th><th>Body</th></tr></thead>
+                    <tbody>
+                        ${Object.entries(responses).map(([status, reference]) => this.renderResponse(status, reference)).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    renderResponse(status, reference) {
+        const response = CERTOpenApi.deref(this.doc, reference);
+        const headers = Object.keys(response.headers || {});
+        const bodies = Object.entries(response.content || {}).map(([mediaType, media]) => `
+            <div><code>${this.escapeHtml(mediaType)}</code> ${this.schemaLabel(media.schema)}</div>
+        `);
+
+        return `
+            <tr>
+                <th><span class="api-status-code api-status-code-${status[0]}xx">${this.escapeHtml(status)}</span></th>
+                <td>
+                    ${this.formatText(response.description || '')}
+                    ${headers.length > 0 ? `<span class="api-hint">Headers: ${headers.map(name => `<code>${this.escapeHtml(name)}</code>`).join(', ')}</span>` : ''}
+                </td>
+                <td>${bodies.join('') || '—'}</td>
+            </tr>
+        `;
+    }
+
+    renderSchemas() {
+        const schemas = (this.doc.components && this.doc.components.schemas) || {};
+
+        document.getElementById('api-schemas').innerHTML = Object.entries(schemas).map(([name, schema]) => `
+            <article class="api-schema" id="schema-${this.escapeHtml(name)}">
+                <h3 class="api-schema-title"><code>${this.escapeHtml(name)}</code> <span class="api-hint">${this.schemaLabel(schema, true)}</span></h3>
+                ${schema.description ? `<p>${this.formatText(schema.description)}</p>` : ''}
+                ${schema.properties ? this.renderProperties(schema) : ''}
+            </article>
+        `).join('');
+    }
+
+    renderProperties(schema) {
+        const required = schema.required || [];
+
+        return `
+            <div class="api-table-wrapper">
+                <table class="api-table">
+                    <thead><tr><th>Field</th><th>Type</th><th>Description</th></tr></thead>
+                    <tbody>
+                        ${Object.entries(schema.properties).map(([field, property]) => `
+                            <tr>
+                                <th><code>${this.escapeHtml(field)}</code>${required.includes(field) ? ' <span class="api-required">required</span>' : ''}</th>
+                                <td>${this.schemaLabel(property)}</td>
+                                <td>${this.formatText(property.description || '')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // The type of a schema, with named schemas linked to their section
+    schemaLabel(schema, expand = false) {
+        if (!schema) {
+            return '';
+        }
+
+        if (schema.$ref && !expand) {
+            const name = schema.$ref.slice(SCHEMA_PREFIX.length);
+            // References into a schema, such as a single field of cert, show that field's type
+            return schema.$ref.startsWith(SCHEMA_PREFIX) && !name.includes('/')
+                ? `<a href="#schema-${this.escapeHtml(name)}"><code>${this.escapeHtml(name)}</code></a>`
+                : this.schemaLabel(CERTOpenApi.resolveRef(this.doc, schema.$ref));
+        }
+
+        if (schema.type === 'array' && schema.items) {
+            return `array of ${this.schemaLabel(schema.items)}`;
+        }
+
+        const alternatives = schema.oneOf || schema.anyOf;
+        if (alternatives && alternatives.every(option => option.$ref || option.title)) {
+            return alternatives.map(option => option.title ? this.escapeHtml(option.title) : this.schemaLabel(option)).join(' | ');
+        }
+
+        return `<code>${this.escapeHtml(CERTOpenApi.typeLabel(this.doc, expand ? { ...schema, $ref: undefined } : schema))}</code>`;
+    }
+
+    // The anchor named by the hash, or the raw hash when its percent-encoding is malformed
+    decodeHash(hash) {
+        try {
+            return decodeURIComponent(hash.slice(1));
+        } catch (error) {
+            return hash.slice(1);
+        }
+    }
+
+    // Descriptions are plain text with `code` spans
+    formatText(text) {
+        return this.escapeHtml(text).replace(/`([^`]+)`/g, '<code>$1</code>');
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.apiReference = new CERTApiReference();
+});
@@ -0,0 +1,131 @@
+/**
+ * Phone and email helpers shared by the browser (window.CERTContacts),
+ * the exports and the validators (require('../assets/js/contacts')).
+ *
+ * Each entry's `phones` list holds { number, display, type, hours } where
+ * number is E.164 ("+61733654417") and display is how the team writes it
+ * ("+61 7 3365 4417", "1-833-CYBER-88"). An empty list means email only.
+ *
+ * The `contacts` list holds typed channels { type, channel, value, label,
+ * pgpKey }: email addresses, web forms and secure portals. Sorting puts
+ * the best way to report an incident first.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CERTContacts = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Listed in the order a responder should try them
+    const PHONE_TYPES = ['hotline', 'office', 'fax'];
+
+    const PHONE_TYPE_LABELS = {
+        hotline: 'Hotline',
+        office: 'Office',
+        fax: 'Fax'
+    };
+
+    // Listed in the order they are offered for reporting an incident
+    const CONTACT_TYPES = ['incident-reporting', 'general', 'vulnerability-disclosure', 'abuse', 'press'];
+
+    const CONTACT_CHANNELS = ['email', 'web-form', 'portal'];
+
+    // Only these types are suitable for reporting an incident
+    const REPORTING_TYPES = ['incident-reporting', 'general'];
+
+    const E164_PATTERN = /^\+[1-9]\d{6,14}$/;
+
+    // Phone keypad letters, so vanity numbers like 1-833-CYBER-88 stay dialable
+    const KEYPAD = {
+        a: 2, b: 2, c: 2, d: 3, e: 3, f: 3, g: 4, h: 4, i: 4,
+        j: 5, k: 5, l: 5, m: 6, n: 6, o: 6, p: 7, q: 7, r: 7, s: 7,
+        t: 8, u: 8, v: 8, w: 9, x: 9, y: 9, z: 9
+    };
+
+    function keypadDigits(text) {
+        return String(text || '')
+            .replace(/[a-z]/gi, letter => KEYPAD[letter.toLowerCase()])
+            .replace(/\D/g, '');
+    }
+
+    /**
+     * Whether a display form dials the E.164 number, allowing for a
+     * national trunk prefix ("0300 123 2040" for +443001232040).
+     */
+    function displayMatchesNumber(phone) {
+        const number = String(phone.number || '').slice(1);
+        const digits = keypadDigits(phone.display);
+
+        if (!digits) {
+            return false;
+        }
+
+        return number === digits || (digits.startsWith('0') && number.endsWith(digits.slice(1)));
+    }
+
+    // Numbers that can be dialled for voice, best first
+    function voiceNumbers(cert) {
+        return (Array.isArray(cert.phones) ? cert.phones : [])
+            .filter(phone => phone.type !== 'fax' && E164_PATTERN.test(phone.number))
+            .sort((a, b) => PHONE_TYPES.indexOf(a.type) - PHONE_TYPES.indexOf(b.type));
+    }
+
+    function primaryPhone(cert) {
+        return voiceNumbers(cert)[0] || null;
+    }
+
+    function isEmailOnly(cert) {
+        return voiceNumbers(cert).length === 0;
+    }
+
+    // Stable sort by type, keeping the team's own order within a type
+    function sortContacts(contacts) {
+        return (Array.isArray(contacts) ? contacts : [])
+            .map((contact, index) => ({ contact, index }))
+            .sort((a, b) => (CONTACT_TYPES.indexOf(a.contact.type) - CONTACT_TYPES.indexOf(b.contact.type)) ||
+                (a.index - b.index))
+            .map(({ contact }) => contact);
+    }
+
+    /**
+     * The channel to use for "report an incident": a dedicated reporting
+     * channel if the team has one, then its general address.
+     */
+    function reportingContact(cert) {
+        const contact = sortContacts(cert.contacts).find(item => REPORTING_TYPES.includes(item.type));
+
+        if (contact) {
+            return contact;
+        }
+
+        return cert.email ? { type: 'general', channel: 'email', value: cert.email } : null;
+    }
+
+    function contactHref(contact) {
+        return contact.channel === 'email' ? `mailto:${contact.value}` : contact.value;
+    }
+
+    function normalizeEmail(email) {
+        return String(email || '').trim().toLowerCase();
+    }
+
+    return {
+        PHONE_TYPES,
+        PHONE_TYPE_LABELS,
+        CONTACT_TYPES,
+        CONTACT_CHANNELS,
+        E164_PATTERN,
+        keypadDigits,
+        displayMatchesNumber,
+        voiceNumbers,
+        primaryPhone,
+        isEmailOnly,
+        sortContacts,
+        reportingContact,
+        contactHref,
+        normalizeEmail
+    };
+}));
@@ -0,0 +1,77 @@
+/**
+ * Flags and constituency codes shared by the browser (window.CERTCountries),
+ * the API Lambda and the scripts (require('../assets/js/countries')).
+ *
+ * countryCode holds an ISO 3166-1 alpha-2 code (listed in
+ * data/countries.json) or one of the CONSTITUENCIES codes for teams that
+ * do not serve a single country. Flags are built from the code's Unicode
+ * regional indicators, so no per-country table has to be maintained.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CERTCountries = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const CODE_PATTERN = /^[A-Z]{2}$/;
+
+    // U+1F1E6 REGIONAL INDICATOR SYMBOL LETTER A
+    const REGIONAL_INDICATOR_A = 0x1F1E6;
+
+    // Non-country constituencies. EU and UN are reserved in ISO 3166-1 and have
+    // Unicode flags; XI and XS come from the user-assigned range and use an icon.
+    const CONSTITUENCIES = {
+        EU: { name: 'European Union' },
+        UN: { name: 'United Nations' },
+        XI: { name: 'International', icon: '🌐' },
+        XS: { name: 'Sector-wide', icon: '🏭' }
+    };
+
+    function normalizeCode(code) {
+        return String(code || '').trim().toUpperCase();
+    }
+
+    function isConstituency(code) {
+        return Object.prototype.hasOwnProperty.call(CONSTITUENCIES, normalizeCode(code));
+    }
+
+    /**
+     * Whether a code is an ISO 3166-1 country (a key of countries, the
+     * "countries" map in data/countries.json) or a constituency code.
+     */
+    function isKnownCode(code, countries) {
+        const normalized = normalizeCode(code);
+        return CODE_PATTERN.test(normalized) &&
+            (isConstituency(normalized) || Object.prototype.hasOwnProperty.call(countries || {}, normalized));
+    }
+
+    // Constituencies with an icon have no flag, so they need no text fallback
+    function hasFlag(code) {
+        const normalized = normalizeCode(code);
+        return CODE_PATTERN.test(normalized) && !(isConstituency(normalized) && CONSTITUENCIES[normalized].icon);
+    }
+
+    function flagEmoji(code) {
+        const normalized = normalizeCode(code);
+
+        if (isConstituency(normalized) && CONSTITUENCIES[normalized].icon) {
+            return CONSTITUENCIES[normalized].icon;
+        }
+        if (!CODE_PATTERN.test(normalized)) {
+            return '🏳️';
+        }
+
+        return String.fromCodePoint(...[...normalized].map(letter => REGIONAL_INDICATOR_A + letter.charCodeAt(0) - 65));
+    }
+
+    return {
+        CONSTITUENCIES,
+        isConstituency,
+        isKnownCode,
+        hasFlag,
+        flagEmoji
+    };
+}));
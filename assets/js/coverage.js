@@ -0,0 +1,131 @@
+/**
+ * Coverage-gap report shared by the browser (window.CERTCoverage), the API
+ * Lambda and scripts/coverage-report.js (require('../assets/js/coverage')).
+ *
+ * Every country in data/countries.json gets the most urgent of STATUSES:
+ * "missing" without any listed team, "non-national" when none of its teams
+ * is in a NATIONAL_SECTORS sector, "stale" when a team is due for
+ * re-verification, otherwise "covered". Defunct teams are not counted.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./filters'));
+    } else {
+        root.CERTCoverage = factory(root.CERTFilters);
+    }
+}(typeof self !== 'undefined' ? self : this, function (CERTFilters) {
+    'use strict';
+
+    // Teams in these sectors count as a country's national CERT
+    const NATIONAL_SECTORS = ['National', 'Government'];
+
+    // Most urgent first; this is also the order of the to-do list
+    const STATUSES = ['missing', 'non-national', 'stale', 'covered'];
+
+    function isNational(cert) {
+        return NATIONAL_SECTORS.includes(cert.sector);
+    }
+
+    function isActive(cert) {
+        return CERTFilters.verificationStatus(cert) !== 'defunct';
+    }
+
+    function describeEntry(cert, options) {
+        const verifiedAt = CERTFilters.lastVerified(cert) || null;
+
+        return {
+            id: cert.id,
+            name: cert.name,
+            sector: cert.sector,
+            national: isNational(cert),
+            lastVerified: verifiedAt,
+            monthsSinceVerified: CERTFilters.monthsSince(verifiedAt, options.now),
+            stale: CERTFilters.isStale(cert, options.staleAfterMonths, options.now)
+        };
+    }
+
+    function statusOf(entries) {
+        if (entries.length === 0) return 'missing';
+        if (!entries.some(entry => entry.national)) return 'non-national';
+        if (entries.some(entry => entry.stale)) return 'stale';
+        return 'covered';
+    }
+
+    // Months since the oldest verification, so the longest-neglected country comes first
+    function oldestVerification(row) {
+        return row.entries.reduce((oldest, entry) => Math.max(
+            oldest,
+            entry.monthsSinceVerified === null ? Infinity : entry.monthsSinceVerified
+        ), -1);
+    }
+
+    /**
+     * Order rows as a to-do list: by status, stale countries by their oldest
+     * verification, and otherwise by country name using compare.
+     */
+    function prioritize(rows, compare = (a, b) => a.localeCompare(b)) {
+        return [...rows].sort((a, b) =>
+            STATUSES.indexOf(a.status) - STATUSES.indexOf(b.status) ||
+            (a.status === 'stale' ? oldestVerification(b) - oldestVerification(a) : 0) ||
+            compare(a.country, b.country)
+        );
+    }
+
+    /**
+     * Compare the entries against countries ({ "DE": "Germany", ... }).
+     *
+     * options.staleAfterMonths (default STALE_AFTER_MONTHS) and options.now
+     * (default today) decide staleness as in CERTFilters.isStale. Teams whose
+     * countryCode is not in countries, such as EU, are only counted in
+     * otherTeams.
+     */
+    function report(certs, countries, options = {}) {
+        const settings = {
+            staleAfterMonths: options.staleAfterMonths || CERTFilters.STALE_AFTER_MONTHS,
+            now: options.now || new Date()
+        };
+
+        const byCode = new Map(Object.keys(countries).map(code => [code, []]));
+        let otherTeams = 0;
+
+        certs.filter(isActive).forEach(cert => {
+            const code = String(cert.countryCode || '').toUpperCase();
+            if (byCode.has(code)) {
+                byCode.get(code).push(describeEntry(cert, settings));
+            } else {
+                otherTeams++;
+            }
+        });
+
+        const rows = [...byCode.entries()].map(([code, entries]) => ({
+            code,
+            country: countries[code],
+            status: statusOf(entries),
+            teams: entries.length,
+            nationalTeams: entries.filter(entry => entry.national).length,
+            staleTeams: entries.filter(entry => entry.stale).length,
+            entries
+        }));
+
+        const totals = rows.reduce((acc, row) => {
+            acc[row.status]++;
+            return acc;
+        }, Object.fromEntries(STATUSES.map(status => [status, 0])));
+
+        return {
+            generatedAt: settings.now.toISOString(),
+            staleAfterMonths: settings.staleAfterMonths,
+            totals: { countries: rows.length, ...totals },
+            otherTeams,
+            countries: prioritize(rows)
+        };
+    }
+
+    return {
+        NATIONAL_SECTORS,
+        STATUSES,
+        isNational,
+        prioritize,
+        report
+    };
+}));
@@ -0,0 +1,232 @@
+/**
+ * Contact-sheet exports (CSV, JSON, vCard, iCalendar) shared by the
+ * browser export control (window.CERTExport) and /api/certs?format=
+ * (require('../assets/js/export')).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./contacts'));
+    } else {
+        root.CERTExport = factory(root.CERTContacts);
+    }
+}(typeof self !== 'undefined' ? self : this, function (CERTContacts) {
+    'use strict';
+
+    // Spreadsheets read cells starting with these as formulas
+    const FORMULA_TRIGGER = /^[=+\-@\t\r]/;
+    // Digits alone cannot run anything, so E.164 numbers stay dialable
+    const E164 = /^\+[1-9]\d{6,14}$/;
+
+    // [name, value, options]; `phone` columns hold E.164 numbers
+    const CSV_COLUMNS = [
+        ['id', cert => cert.id],
+        ['name', cert => cert.name],
+        ['fullName', cert => cert.fullName],
+        ['country', cert => cert.country],
+        ['countryCode', cert => cert.countryCode],
+        ['sector', cert => cert.sector],
+        ['emergencyContact', cert => cert.emergencyContact],
+        ['phone', cert => (CERTContacts.primaryPhone(cert) || {}).number || '', { phone: true }],
+        ['email', cert => cert.email],
+        ['reportTo', cert => (CERTContacts.reportingContact(cert) || {}).value || ''],
+        ['website', cert => cert.website],
+        ['pgpKeyId', cert => (cert.pgpKey && cert.pgpKey.keyId) || ''],
+        ['pgpFingerprint', cert => (cert.pgpKey && cert.pgpKey.fingerprint) || ''],
+        ['lastUpdated', cert => cert.lastUpdated]
+    ];
+
+    function csvCell(value, { phone = false } = {}) {
+        let text = value === null || value === undefined ? '' : String(value);
+
+        // Neutralise spreadsheet formulas, including "+1+cmd|..." and "-2+3+cmd|..."
+        if (FORMULA_TRIGGER.test(text) && !(phone && E164.test(text))) {
+            text = `'${text}`;
+        }
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function toCsv(certs) {
+        const header = CSV_COLUMNS.map(([name]) => name).join(',');
+        const rows = certs.map(cert => CSV_COLUMNS.map(([, value, options]) => csvCell(value(cert), options)).join(','));
+        return [header, ...rows].join('\r\n') + '\r\n';
+    }
+
+    function toJson(certs) {
+        return JSON.stringify(certs, null, 2) + '\n';
+    }
+
+    // TEXT value escaping shared by vCard 3.0 (RFC 2426) and iCalendar (RFC 5545)
+    function escapeText(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/\\/g, '\\\\')
+            .replace(/\r?\n/g, '\\n')
+            .replace(/,/g, '\\,')
+            .replace(/;/g, '\\;');
+    }
+
+    function utf8Length(char) {
+        const code = char.codePointAt(0);
+        if (code < 0x80) return 1;
+        if (code < 0x800) return 2;
+        if (code < 0x10000) return 3;
+        return 4;
+    }
+
+    // Fold content lines at 75 octets without splitting multi-byte characters
+    function foldLine(line) {
+        let folded = '';
+        let octets = 0;
+
+        for (const char of line) {
+            const size = utf8Length(char);
+            if (octets + size > 75) {
+                folded += '\r\n ';
+                octets = 1;
+            }
+            folded += char;
+            octets += size;
+        }
+
+        return folded;
+    }
+
+    function contentLines(lines) {
+        return lines.filter(Boolean).map(foldLine).join('\r\n') + '\r\n';
+    }
+
+    function pgpNote(cert) {
+        if (!cert.pgpKey || !cert.pgpKey.available) {
+            return '';
+        }
+
+        const fingerprint = cert.pgpKey.fingerprint ? ` (fingerprint ${cert.pgpKey.fingerprint})` : '';
+        return `PGP key ${cert.pgpKey.keyId}${fingerprint}`;
+    }
+
+    function phoneNote(cert) {
+        const primary = CERTContacts.primaryPhone(cert);
+
+        if (!primary) {
+            return 'Emergency: email only';
+        }
+
+        const hours = primary.hours ? `, ${primary.hours}` : '';
+        return `Emergency: ${primary.display} (${CERTContacts.PHONE_TYPE_LABELS[primary.type]}${hours})`;
+    }
+
+    function phoneLines(cert) {
+        const primary = CERTContacts.primaryPhone(cert);
+
+        return (cert.phones || []).map(phone => {
+            const kind = phone.type === 'fax' ? 'FAX' : 'VOICE';
+            return `TEL;TYPE=WORK,${kind}${phone === primary ? ',PREF' : ''}:${phone.number}`;
+        });
+    }
+
+    function emailLines(cert) {
+        const reportTo = CERTContacts.reportingContact(cert);
+        const emails = CERTContacts.sortContacts(cert.contacts).filter(contact => contact.channel === 'email');
+
+        if (emails.length === 0) {
+            return [cert.email && `EMAIL;TYPE=INTERNET,WORK:${cert.email}`];
+        }
+
+        return emails.map(contact => `EMAIL;TYPE=INTERNET,WORK${contact === reportTo ? ',PREF' : ''}:${contact.value}`);
+    }
+
+    function noteFor(cert) {
+        return [cert.description, phoneNote(cert), pgpNote(cert)]
+            .filter(Boolean)
+            .join('\n');
+    }
+
+    function toVcard(certs) {
+        return certs.map(cert => contentLines([
+            'BEGIN:VCARD',
+            'VERSION:3.0',
+            `UID:urn:certopedia:${cert.id}`,
+            `FN:${escapeText(cert.name)}`,
+            'N:;;;;',
+            `ORG:${escapeText(cert.fullName)}`,
+            'X-ABShowAs:COMPANY',
+            ...phoneLines(cert),
+            ...emailLines(cert),
+            cert.website && `URL:${cert.website}`,
+            `CATEGORIES:CERT,${escapeText(cert.sector)}`,
+            cert.country && `ADR;TYPE=WORK:;;;;;;${escapeText(cert.country)}`,
+            `NOTE:${escapeText(noteFor(cert))}`,
+            cert.lastUpdated && `REV:${cert.lastUpdated}`,
+            'END:VCARD'
+        ])).join('');
+    }
+
+    function icalDate(date) {
+        return String(date || '').replace(/-/g, '');
+    }
+
+    // One VJOURNAL per team: a dated contact note that calendar apps can import
+    function toIcal(certs, now = new Date()) {
+        const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+        const journals = certs.flatMap(cert => {
+            const phone = CERTContacts.primaryPhone(cert);
+            const contact = [cert.fullName, phone && phone.number, cert.email].filter(Boolean).join(', ');
+
+            return [
+                'BEGIN:VJOURNAL',
+                `UID:${cert.id}@certopedia`,
+                `DTSTAMP:${stamp}`,
+                cert.lastUpdated && `DTSTART;VALUE=DATE:${icalDate(cert.lastUpdated)}`,
+                `SUMMARY:${escapeText(`${cert.name} (${cert.country})`)}`,
+                `CONTACT:${escapeText(contact)}`,
+                cert.website && `URL:${cert.website}`,
+                `CATEGORIES:CERT,${escapeText(cert.sector)}`,
+                `DESCRIPTION:${escapeText(noteFor(cert))}`,
+                'END:VJOURNAL'
+            ];
+        });
+
+        return contentLines([
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//CERTopedia//CERT Directory//EN',
+            'CALSCALE:GREGORIAN',
+            ...journals,
+            'END:VCALENDAR'
+        ]);
+    }
+
+    const FORMATS = {
+        csv: { mimeType: 'text/csv', extension: 'csv', serialize: toCsv },
+        json: { mimeType: 'application/json', extension: 'json', serialize: toJson },
+        vcf: { mimeType: 'text/vcard', extension: 'vcf', serialize: toVcard },
+        ics: { mimeType: 'text/calendar', extension: 'ics', serialize: toIcal }
+    };
+
+    /**
+     * Serialize entries as csv, json, vcf or ics.
+     *
+     * Returns { body, mimeType, filename } or null for an unknown format.
+     */
+    function exportCerts(certs, format, date = new Date()) {
+        const spec = FORMATS[format];
+        if (!spec) {
+            return null;
+        }
+
+        return {
+            body: spec.serialize(certs),
+            mimeType: `${spec.mimeType}; charset=utf-8`,
+            filename: `certopedia-${date.toISOString().slice(0, 10)}.${spec.extension}`
+        };
+    }
+
+    return {
+        FORMATS: Object.keys(FORMATS),
+        toCsv,
+        toJson,
+        toVcard,
+        toIcal,
+        exportCerts
+    };
+}));
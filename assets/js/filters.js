@@ -0,0 +1,181 @@
+/**
+ * Directory filters shared by the browser (window.CERTFilters) and the
+ * API Lambda (require('../assets/js/filters')).
+ *
+ * List filters (sectors, regions, countries, statuses) match when an entry
+ * matches any value in the list; flag filters (pgp, verified, stale) are
+ * true, false or null. Every active filter has to match.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CERTFilters = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const SECTORS = ['Government', 'National', 'Academic', 'Commercial'];
+    const REGIONS = ['Africa', 'APAC', 'Europe', 'LATAM', 'Middle East', 'North America'];
+
+    // verification.status values; only "verified" entries count as verified
+    const VERIFICATION_STATUSES = ['verified', 'pending', 'disputed', 'defunct'];
+
+    // Entries not re-verified within this many months count as stale
+    const STALE_AFTER_MONTHS = 12;
+
+    // Split "DE,FR" (or an array of such values) into a clean list
+    function parseList(value) {
+        if (value === null || value === undefined) {
+            return [];
+        }
+
+        return (Array.isArray(value) ? value : [value])
+            .flatMap(item => String(item).split(','))
+            .map(item => item.trim())
+            .filter(item => item && item.toLowerCase() !== 'all');
+    }
+
+    function includesIgnoreCase(list, value) {
+        const needle = String(value || '').toLowerCase();
+        return list.some(item => item.toLowerCase() === needle);
+    }
+
+    function matchesSector(cert, sectors) {
+        return sectors.length === 0 || includesIgnoreCase(sectors, cert.sector);
+    }
+
+    // Regions match either the broad region ("Europe") or the sub-region ("Western Europe")
+    function matchesRegion(cert, regions) {
+        return regions.length === 0 ||
+            includesIgnoreCase(regions, cert.region) ||
+            includesIgnoreCase(regions, cert.subregion);
+    }
+
+    // Countries are ISO 3166 alpha-2 codes; full English names are still accepted
+    function matchesCountry(cert, countries) {
+        return countries.length === 0 ||
+            includesIgnoreCase(countries, cert.countryCode) ||
+            includesIgnoreCase(countries, cert.country);
+    }
+
+    // Statuses are verification.status values, e.g. ["disputed", "defunct"]
+    function matchesStatus(cert, statuses) {
+        return statuses.length === 0 || includesIgnoreCase(statuses, verificationStatus(cert));
+    }
+
+    function hasPgp(cert) {
+        return Boolean(cert.pgpKey && cert.pgpKey.available === true);
+    }
+
+    function verificationStatus(cert) {
+        return (cert.verification && cert.verification.status) || 'pending';
+    }
+
+    function isVerified(cert) {
+        return verificationStatus(cert) === 'verified';
+    }
+
+    // Whole calendar months between lastUpdated and now, or null for a missing/invalid date
+    function monthsSince(date, now = new Date()) {
+        // Read "2024-08-22" as local midnight so the month doesn't shift west of UTC
+        const then = new Date(/^\d{4}-\d{2}-\d{2}$/.test(date) ? `${date}T00:00:00` : date);
+        if (!date || Number.isNaN(then.getTime())) {
+            return null;
+        }
+
+        const months = (now.getFullYear() - then.getFullYear()) * 12 + (now.getMonth() - then.getMonth());
+        return Math.max(0, now.getDate() < then.getDate() ? months - 1 : months);
+    }
+
+    // Date of the last verification, falling back to the last edit
+    function lastVerified(cert) {
+        return (cert.verification && cert.verification.verifiedAt) || cert.lastUpdated;
+    }
+
+    // Entries without a usable verification date are treated as stale
+    function isStale(cert, maxMonths = STALE_AFTER_MONTHS, now = new Date()) {
+        const months = monthsSince(lastVerified(cert), now);
+        return months === null || months >= maxMonths;
+    }
+
+    // Boolean filters are true, false, or null/undefined for "either"
+    function matchesFlag(value, expected) {
+        return expected === null || expected === undefined || value === expected;
+    }
+
+    // One predicate per facet, so each facet can be counted with the others applied
+    const PREDICATES = {
+        sectors: (cert, filters) => matchesSector(cert, filters.sectors || []),
+        regions: (cert, filters) => matchesRegion(cert, filters.regions || []),
+        countries: (cert, filters) => matchesCountry(cert, filters.countries || []),
+        pgp: (cert, filters) => matchesFlag(hasPgp(cert), filters.pgp),
+        // verified=true|false is shorthand for a status filter, so the status facet ignores both
+        statuses: (cert, filters) =>
+            matchesStatus(cert, filters.statuses || []) && matchesFlag(isVerified(cert), filters.verified),
+        stale: (cert, filters) =>
+            matchesFlag(isStale(cert, filters.staleAfterMonths, filters.now), filters.stale)
+    };
+
+    function matches(cert, filters, skip) {
+        return Object.keys(PREDICATES).every(key =>
+            key === skip || PREDICATES[key](cert, filters)
+        );
+    }
+
+    /**
+     * Keep the entries matching { sectors, regions, countries, statuses, pgp, verified, stale }.
+     *
+     * The stale flag uses filters.staleAfterMonths (default
+     * STALE_AFTER_MONTHS) and filters.now (default today).
+     */
+    function apply(certs, filters = {}) {
+        return certs.filter(cert => matches(cert, filters));
+    }
+
+    function countBy(certs, keyFn, initialKeys = []) {
+        const counts = Object.fromEntries(initialKeys.map(key => [key, 0]));
+        certs.forEach(cert => {
+            const key = keyFn(cert);
+            counts[key] = (counts[key] || 0) + 1;
+        });
+        return counts;
+    }
+
+    /**
+     * Count how many entries each filter value would yield.
+     *
+     * Every facet is counted against all the other active filters but not
+     * its own, so selecting "Government" still shows what "National" would
+     * add instead of dropping it to zero.
+     */
+    function facets(certs, filters = {}) {
+        const without = (skip) => certs.filter(cert => matches(cert, filters, skip));
+
+        return {
+            sectors: countBy(without('sectors'), cert => cert.sector, SECTORS),
+            regions: countBy(without('regions'), cert => cert.region, REGIONS),
+            countries: countBy(without('countries'), cert => cert.countryCode),
+            statuses: countBy(without('statuses'), verificationStatus, VERIFICATION_STATUSES),
+            pgp: countBy(without('pgp'), cert => (hasPgp(cert) ? 'yes' : 'no'), ['yes', 'no']),
+            stale: countBy(without('stale'), cert =>
+                (isStale(cert, filters.staleAfterMonths, filters.now) ? 'yes' : 'no'), ['yes', 'no'])
+        };
+    }
+
+    return {
+        SECTORS,
+        REGIONS,
+        VERIFICATION_STATUSES,
+        STALE_AFTER_MONTHS,
+        parseList,
+        monthsSince,
+        lastVerified,
+        isStale,
+        verificationStatus,
+        isVerified,
+        matches,
+        apply,
+        facets
+    };
+}));
@@ -0,0 +1,143 @@
+/**
+ * Translation layer shared by the browser (window.CERTI18n) and the API
+ * Lambda (require('../assets/js/i18n')).
+ *
+ * UI strings live in assets/i18n/<locale>.json as flat "section.key"
+ * messages with {placeholders}; a message may be an object of plural
+ * forms ({ "one": ..., "other": ... }) picked with Intl.PluralRules.
+ * Entries can carry translations.<locale>.{name, fullName, description}.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CERTI18n = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULT_LOCALE = 'en';
+
+    // Native names, shown as-is in the language switcher
+    const LOCALES = {
+        en: 'English',
+        es: 'Español',
+        fr: 'Français',
+        pt: 'Português'
+    };
+
+    const TRANSLATABLE_FIELDS = ['name', 'fullName', 'description'];
+
+    const collators = new Map();
+
+    function isSupported(locale) {
+        return Object.prototype.hasOwnProperty.call(LOCALES, locale);
+    }
+
+    /**
+     * Pick the first supported locale from a list of preferences such as
+     * navigator.languages ("pt-BR" matches "pt"), or the default.
+     */
+    function resolveLocale(preferences) {
+        const match = [].concat(preferences || [])
+            .filter(Boolean)
+            .map(tag => String(tag).toLowerCase().split(/[-_]/)[0])
+            .find(isSupported);
+
+        return match || DEFAULT_LOCALE;
+    }
+
+    // One Intl.Collator per locale, so accented names such as "Émirats arabes unis" sort with E
+    function collator(locale) {
+        const key = isSupported(locale) ? locale : DEFAULT_LOCALE;
+
+        if (!collators.has(key)) {
+            collators.set(key, new Intl.Collator(key, { numeric: true }));
+        }
+
+        return collators.get(key);
+    }
+
+    function compare(locale, a, b) {
+        const text = value => (value === undefined || value === null ? '' : String(value));
+        return collator(locale).compare(text(a), text(b));
+    }
+
+    function interpolate(message, params) {
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            (params[name] === undefined ? placeholder : String(params[name])));
+    }
+
+    /**
+     * Look up a message in the locale's bundle, falling back to the
+     * default bundle and finally to the key itself.
+     */
+    function translate(bundles, locale, key, params = {}) {
+        const bundle = bundles[locale] || {};
+        const fallback = bundles[DEFAULT_LOCALE] || {};
+        let message = bundle[key] !== undefined ? bundle[key] : fallback[key];
+
+        if (message === undefined) {
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            const form = typeof params.count === 'number'
+                ? new Intl.PluralRules(locale).select(params.count)
+                : 'other';
+            message = message[form] !== undefined ? message[form] : message.other;
+        }
+
+        return interpolate(String(message), params);
+    }
+
+    // Country names come from the ISO code, so no per-locale list has to be maintained
+    function countryName(cert, locale) {
+        if (locale !== DEFAULT_LOCALE && cert.countryCode && typeof Intl.DisplayNames === 'function') {
+            try {
+                const name = new Intl.DisplayNames([locale], { type: 'region' }).of(cert.countryCode);
+                if (name && name !== cert.countryCode) {
+                    return name;
+                }
+            } catch (error) {
+                // Unknown code or locale: keep the English name from the data
+            }
+        }
+
+        return cert.country;
+    }
+
+    /**
+     * A copy of the entry with name, fullName, description and country in
+     * the given locale where a translation exists.
+     */
+    function localizeCert(cert, locale) {
+        if (!isSupported(locale) || locale === DEFAULT_LOCALE) {
+            return cert;
+        }
+
+        const translation = (cert.translations && cert.translations[locale]) || {};
+        const localized = { ...cert, country: countryName(cert, locale) };
+
+        TRANSLATABLE_FIELDS
+            .filter(field => typeof translation[field] === 'string' && translation[field])
+            .forEach(field => {
+                localized[field] = translation[field];
+            });
+
+        return localized;
+    }
+
+    return {
+        DEFAULT_LOCALE,
+        LOCALES,
+        TRANSLATABLE_FIELDS,
+        isSupported,
+        resolveLocale,
+        collator,
+        compare,
+        translate,
+        countryName,
+        localizeCert
+    };
+}));
@@ -1,21 +1,48 @@
+// Key for the language picked in the switcher; it wins over the browser's preferences
+const LANGUAGE_STORAGE_KEY = 'certopedia.language';
+
 class CERTopedia {
     constructor() {
+        this.rawCerts = [];
         this.certs = [];
         this.filteredCerts = [];
+        this.searchMatches = new Map();
         this.currentFilters = {
             search: '',
-            sector: ''
+            sectors: [],
+            regions: [],
+            countries: [],
+            statuses: [],
+            pgp: null
         };
+        this.locale = CERTI18n.resolveLocale([this.storedLocale(), ...(navigator.languages || [navigator.language])]);
+        this.bundles = {};
+        this.changes = [];
+        this.view = 'grid';
+        this.mapMode = 'coverage';
+        this.mapCerts = [];
+        this.mapLoaded = null;
+        this.coverageCountries = null;
+        this.coverageStatus = 'gaps';
 
         this.init();
     }
 
     async init() {
+        document.documentElement.classList.toggle('no-flag-emoji', !CERTUtilities.supportsFlagEmoji());
+        await this.loadMessages(this.locale);
+        this.applyTranslations();
+        this.setupLanguageSwitcher();
         await this.loadCerts();
+        this.populateCountryFilter();
+        this.restoreFiltersFromUrl();
         this.setupEventListeners();
         this.updateStats();
-        this.renderCerts();
+        this.applyFilters();
         this.hideLoading();
+        this.focusCertFromHash();
+        this.loadChanges();
+        this.loadCoverage();
     }
 
     async loadCerts() {
@@ -23,15 +50,242 @@ class CERTopedia {
             const response = await fetch('data/certs.json');
             if (!response.ok) throw new Error('Failed to load CERT data');
 
-            this.certs = await response.json();
-            this.filteredCerts = [...this.certs];
-
-            // Sort by country name
-            this.certs.sort((a, b) => a.country.localeCompare(b.country));
-            this.filteredCerts.sort((a, b) => a.country.localeCompare(b.country));
+            this.rawCerts = await response.json();
+            this.localizeCerts();
         } catch (error) {
             console.error('Error loading CERT data:', error);
-            this.showError('Failed to load CERT directory. Please try again later.');
+            this.showError(this.t('directory.errorMessage'));
+        }
+    }
+
+    // Entries in the current locale, sorted by country name with that locale's collator
+    localizeCerts() {
+        this.certs = this.rawCerts
+            .map(cert => CERTI18n.localizeCert(cert, this.locale))
+            .sort((a, b) => CERTI18n.compare(this.locale, a.country, b.country));
+        this.filteredCerts = [...this.certs];
+    }
+
+    storedLocale() {
+        try {
+            return localStorage.getItem(LANGUAGE_STORAGE_KEY);
+        } catch (error) {
+            // Storage can be unavailable (private mode, disabled cookies)
+            return null;
+        }
+    }
+
+    // The default bundle is always loaded so missing messages fall back to English
+    async loadMessages(locale) {
+        const locales = [...new Set([CERTI18n.DEFAULT_LOCALE, locale])]
+            .filter(code => !this.bundles[code]);
+
+        await Promise.all(locales.map(async code => {
+            try {
+                const response = await fetch(`assets/i18n/${code}.json`);
+                if (!response.ok) throw new Error(`Failed to load ${code} messages`);
+                this.bundles[code] = await response.json();
+            } catch (error) {
+                console.warn('Translations unavailable:', error);
+            }
+        }));
+    }
+
+    t(key, params) {
+        return CERTI18n.translate(this.bundles, this.locale, key, params);
+    }
+
+    // Static text is tagged with data-i18n (text), data-i18n-placeholder and data-i18n-aria-label
+    applyTranslations() {
+        const translated = (key) => {
+            const message = this.t(key);
+            return message === key ? null : message;
+        };
+
+        document.documentElement.lang = this.locale;
+
+        const title = translated('meta.title');
+        if (title) document.title = title;
+
+        const description = document.querySelector('meta[name="description"]');
+        if (description && translated('meta.description')) {
+            description.setAttribute('content', translated('meta.description'));
+        }
+
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            const message = translated(element.dataset.i18n);
+            if (!message) return;
+
+            // Facet counts are appended to the option label, so keep it separate
+            if (element.tagName === 'OPTION' && element.value) {
+                element.dataset.label = message;
+            }
+
+            element.textContent = message;
+        });
+
+        document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            const message = translated(element.dataset.i18nPlaceholder);
+            if (message) element.setAttribute('placeholder', message);
+        });
+
+        document.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+            const message = translated(element.dataset.i18nAriaLabel);
+            if (message) element.setAttribute('aria-label', message);
+        });
+    }
+
+    setupLanguageSwitcher() {
+        const select = document.getElementById('language-select');
+        if (!select) return;
+
+        select.innerHTML = Object.entries(CERTI18n.LOCALES)
+            .map(([code, name]) => `<option value="${code}" lang="${code}">${this.escapeHtml(name)}</option>`)
+            .join('');
+        select.value = this.locale;
+
+        select.addEventListener('change', () => this.setLocale(select.value));
+    }
+
+    async setLocale(locale) {
+        if (!CERTI18n.isSupported(locale) || locale === this.locale) return;
+
+        this.locale = locale;
+        try {
+            localStorage.setItem(LANGUAGE_STORAGE_KEY, locale);
+        } catch (error) {
+            // The choice still applies for this visit
+        }
+
+        await this.loadMessages(locale);
+        this.applyTranslations();
+        this.localizeCerts();
+        this.populateCountryFilter();
+        this.syncControls();
+        this.applyFilters();
+        if (this.changes.length > 0) {
+            this.renderChanges(this.changes);
+        }
+        if (this.coverageCountries) {
+            this.renderCoverage();
+        }
+    }
+
+    // The changelog is optional; the section stays hidden without it
+    async loadChanges() {
+        try {
+            const response = await fetch('data/changes.json');
+            if (!response.ok) return;
+
+            const changes = await response.json();
+            if (Array.isArray(changes) && changes.length > 0) {
+                this.changes = changes.slice(0, 10);
+                this.renderChanges(this.changes);
+            }
+        } catch (error) {
+            console.warn('Change history unavailable:', error);
+        }
+    }
+
+    renderChanges(changes) {
+        const section = document.getElementById('recent-changes');
+        const list = document.getElementById('changes-list');
+        if (!section || !list) return;
+
+        // Contact fields show old → new so cached copies can be corrected
+        const contactFields = ['emergencyContact', 'phones', 'email', 'contacts', 'website', 'pgpKey.keyId', 'pgpKey.fingerprint'];
+        const show = (value) => {
+            if (value === null) return '—';
+            if (Array.isArray(value)) return value.map(item => item.display || item.value).join(', ') || this.t('changes.none');
+            return value;
+        };
+        const describe = (change) => (contactFields.includes(change.field)
+            ? `${change.field}: ${show(change.from)} → ${show(change.to)}`
+            : change.field);
+
+        list.innerHTML = changes.map(record => `
+            <li class="change-item">
+                <time class="change-date" datetime="${this.escapeHtml(record.date)}">${this.escapeHtml(record.date)}</time>
+                <a href="#cert/${encodeURIComponent(record.id)}" class="change-name">${this.escapeHtml(record.name)}</a>
+                <span class="change-type change-type-${this.escapeHtml(record.type)}">${this.escapeHtml(this.t(`changes.type.${record.type}`))}</span>
+                ${record.changes.length > 0 ? `
+                <ul class="change-fields">
+                    ${record.changes.map(change => `<li>${this.escapeHtml(describe(change))}</li>`).join('')}
+                </ul>
+                ` : ''}
+            </li>
+        `).join('');
+
+        section.hidden = false;
+    }
+
+    // The ISO country list is optional; the coverage section stays hidden without it
+    async loadCoverage() {
+        try {
+            const response = await fetch('data/countries.json');
+            if (!response.ok) return;
+
+            this.coverageCountries = (await response.json()).countries;
+            this.renderCoverage();
+        } catch (error) {
+            console.error('Error loading country list:', error);
+        }
+    }
+
+    renderCoverage() {
+        const section = document.getElementById('coverage');
+        const summary = document.getElementById('coverage-summary');
+        const tbody = document.getElementById('coverage-rows');
+        if (!section || !summary || !tbody || !this.coverageCountries) return;
+
+        // Statuses are worked out on the English data; only the names shown are localized
+        const report = CERTCoverage.report(this.rawCerts, this.coverageCountries);
+        const rows = CERTCoverage.prioritize(
+            report.countries
+                .filter(row => (this.coverageStatus === 'gaps' ? row.status !== 'covered' : row.status === this.coverageStatus))
+                .map(row => ({ ...row, country: CERTI18n.countryName({ countryCode: row.code, country: row.country }, this.locale) })),
+            (a, b) => CERTI18n.compare(this.locale, a, b)
+        );
+
+        summary.innerHTML = CERTCoverage.STATUSES.map(status => `
+            <li class="coverage-count coverage-count-${status}">
+                <span class="coverage-count-number">${report.totals[status]}</span>
+                <span class="coverage-count-label">${this.escapeHtml(this.t(`coverage.status.${status}`))}</span>
+            </li>
+        `).join('');
+
+        // Countries with teams link to them in the directory
+        const countryCell = (row) => (row.teams > 0
+            ? `<button type="button" class="coverage-country" data-code="${row.code}">${this.escapeHtml(row.country)}</button>`
+            : this.escapeHtml(row.country));
+
+        tbody.innerHTML = rows.map(row => `
+            <tr>
+                <th scope="row">
+                    ${countryCell(row)}
+                    <span class="coverage-code">${row.code}</span>
+                </th>
+                <td><span class="coverage-status coverage-status-${row.status}">${this.escapeHtml(this.t(`coverage.status.${row.status}`))}</span></td>
+                <td>${row.teams}</td>
+                <td>${this.escapeHtml(this.describeCoverageGap(row))}</td>
+            </tr>
+        `).join('');
+
+        section.hidden = false;
+    }
+
+    describeCoverageGap(row) {
+        switch (row.status) {
+        case 'missing':
+            return this.t('coverage.todo.missing');
+        case 'non-national':
+            return this.t('coverage.todo.non-national');
+        case 'stale':
+            return this.t('coverage.todo.stale', {
+                names: row.entries.filter(entry => entry.stale).map(entry => entry.name).join(', ')
+            });
+        default:
+            return '—';
         }
     }
 
@@ -42,15 +296,23 @@ class CERTopedia {
             searchInput.addEventListener('input', this.debounce((e) => {
                 this.currentFilters.search = e.target.value;
                 this.applyFilters();
+                this.syncUrl('replace');
             }, 300));
         }
 
-        // Sector filter
-        const sectorFilter = document.getElementById('sector-filter');
-        if (sectorFilter) {
-            sectorFilter.addEventListener('change', (e) => {
-                this.currentFilters.sector = e.target.value;
+        // Sector, region, country and verification status filters (multi-select)
+        this.bindMultiSelect('sector-filter', 'sectors');
+        this.bindMultiSelect('region-filter', 'regions');
+        this.bindMultiSelect('country-filter', 'countries');
+        this.bindMultiSelect('status-filter', 'statuses');
+
+        // PGP availability filter
+        const pgpFilter = document.getElementById('pgp-filter');
+        if (pgpFilter) {
+            pgpFilter.addEventListener('change', (e) => {
+                this.currentFilters.pgp = e.target.value ? e.target.value === 'yes' : null;
                 this.applyFilters();
+                this.syncUrl('push');
             });
         }
 
@@ -59,9 +321,76 @@ class CERTopedia {
         if (clearFilters) {
             clearFilters.addEventListener('click', () => {
                 this.clearFilters();
+                this.syncUrl('push');
+            });
+        }
+
+        // Export the current result set
+        const exportButton = document.getElementById('export-results');
+        if (exportButton) {
+            exportButton.addEventListener('click', () => {
+                const exportFormat = document.getElementById('export-format');
+                this.exportResults(exportFormat ? exportFormat.value : 'csv');
+            });
+        }
+
+        // Cards/map view switch
+        document.querySelectorAll('.view-button').forEach(button => {
+            button.addEventListener('click', () => this.setView(button.dataset.view));
+        });
+
+        const mapMode = document.getElementById('map-mode');
+        if (mapMode) {
+            mapMode.addEventListener('change', () => {
+                this.mapMode = mapMode.value;
+                this.renderMap();
             });
         }
 
+        // Clicking a country on the map filters the directory to it
+        const mapCanvas = document.getElementById('map-canvas');
+        if (mapCanvas) {
+            mapCanvas.addEventListener('click', (e) => {
+                const shape = e.target.closest('.map-country-covered');
+                if (shape) this.filterByCountry(shape.dataset.code);
+            });
+            mapCanvas.addEventListener('keydown', (e) => {
+                const shape = e.target.closest('.map-country-covered');
+                if (shape && (e.key === 'Enter' || e.key === ' ')) {
+                    e.preventDefault();
+                    this.filterByCountry(shape.dataset.code);
+                }
+            });
+        }
+
+        // Coverage table: pick which statuses to list, and jump to a country's teams
+        const coverageStatus = document.getElementById('coverage-status');
+        if (coverageStatus) {
+            coverageStatus.addEventListener('change', () => {
+                this.coverageStatus = coverageStatus.value;
+                this.renderCoverage();
+            });
+        }
+
+        const coverageRows = document.getElementById('coverage-rows');
+        if (coverageRows) {
+            coverageRows.addEventListener('click', (e) => {
+                const button = e.target.closest('.coverage-country');
+                if (button) this.filterByCountry(button.dataset.code);
+            });
+        }
+
+        // Back/forward restores the filters stored in the URL
+        window.addEventListener('popstate', () => {
+            this.restoreFiltersFromUrl();
+            this.applyFilters();
+        });
+
+        // Card permalinks (#cert/<id>)
+        window.addEventListener('hashchange', () => {
+            this.focusCertFromHash();
+        });
+
         // Smooth scrolling for navigation
         document.querySelectorAll('a[href^="#"]').forEach(anchor => {
             anchor.addEventListener('click', (e) => {
@@ -80,6 +409,123 @@ class CERTopedia {
         this.setupHeaderScroll();
     }
 
+    bindMultiSelect(elementId, filterKey) {
+        const select = document.getElementById(elementId);
+        if (!select) return;
+
+        select.addEventListener('change', () => {
+            this.currentFilters[filterKey] = Array.from(select.selectedOptions, option => option.value);
+            this.applyFilters();
+            this.syncUrl('push');
+        });
+    }
+
+    // Query parameters use the same names as /api/certs
+    restoreFiltersFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const list = (name) => CERTFilters.parseList(params.get(name));
+        const pgp = params.get('pgp');
+
+        this.currentFilters = {
+            search: params.get('search') || '',
+            sectors: list('sector'),
+            regions: list('region'),
+            countries: list('country'),
+            statuses: list('status'),
+            pgp: pgp === 'true' ? true : pgp === 'false' ? false : null
+        };
+
+        this.syncControls();
+    }
+
+    syncControls() {
+        const { search, sectors, regions, countries, statuses, pgp } = this.currentFilters;
+
+        const searchInput = document.getElementById('search-input');
+        if (searchInput) searchInput.value = search;
+
+        const pgpFilter = document.getElementById('pgp-filter');
+        if (pgpFilter) pgpFilter.value = pgp === null ? '' : pgp ? 'yes' : 'no';
+
+        [['sector-filter', sectors], ['region-filter', regions], ['country-filter', countries], ['status-filter', statuses]].forEach(([id, values]) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+
+            const selected = values.map(value => value.toLowerCase());
+            Array.from(select.options).forEach(option => {
+                option.selected = selected.includes(option.value.toLowerCase());
+            });
+        });
+    }
+
+    syncUrl(mode = 'push') {
+        const { search, sectors, regions, countries, statuses, pgp } = this.currentFilters;
+        const params = new URLSearchParams();
+
+        if (search) params.set('search', search);
+        if (sectors.length > 0) params.set('sector', sectors.join(','));
+        if (regions.length > 0) params.set('region', regions.join(','));
+        if (countries.length > 0) params.set('country', countries.join(','));
+        if (statuses.length > 0) params.set('status', statuses.join(','));
+        if (pgp !== null) params.set('pgp', String(pgp));
+
+        const query = params.toString();
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+
+        if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+            return;
+        }
+
+        if (mode === 'replace') {
+            history.replaceState(null, '', url);
+        } else {
+            history.pushState(null, '', url);
+        }
+    }
+
+    focusCertFromHash() {
+        const match = window.location.hash.match(/^#cert\/(.+)$/);
+        if (!match) return;
+
+        // A hand-typed or truncated permalink such as #cert/%E0 is ignored
+        let id;
+        try {
+            id = decodeURIComponent(match[1]);
+        } catch (error) {
+            return;
+        }
+        if (!this.certs.some(cert => cert.id === id)) return;
+
+        // A permalink must work even when the current filters hide the card
+        if (!this.filteredCerts.some(cert => cert.id === id)) {
+            this.clearFilters();
+            this.syncUrl('replace');
+        }
+
+        const card = Array.from(document.querySelectorAll('.cert-card'))
+            .find(element => element.dataset.id === id);
+        if (!card) return;
+
+        document.querySelectorAll('.cert-card-focused').forEach(element => {
+            element.classList.remove('cert-card-focused');
+        });
+
+        card.classList.add('cert-card-focused');
+        card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    populateCountryFilter() {
+        const countryFilter = document.getElementById('country-filter');
+        if (!countryFilter) return;
+
+        const countries = new Map(this.certs.map(cert => [cert.countryCode, cert.country]));
+
+        countryFilter.innerHTML = [...countries.entries()]
+            .sort((a, b) => CERTI18n.compare(this.locale, a[1], b[1]))
+            .map(([code, name]) => `<option value="${this.escapeHtml(code)}" data-label="${this.escapeHtml(name)}">${this.escapeHtml(name)}</option>`)
+            .join('');
+    }
+
     setupHeaderScroll() {
         const header = document.querySelector('.header');
 
@@ -97,38 +543,226 @@ class CERTopedia {
     }
 
     applyFilters() {
-        const { search, sector } = this.currentFilters;
+        const { search, sectors, regions, countries, statuses, pgp } = this.currentFilters;
 
-        this.filteredCerts = this.certs.filter(cert => {
-            const matchesSearch = !search ||
-                cert.country.toLowerCase().includes(search.toLowerCase()) ||
-                cert.name.toLowerCase().includes(search.toLowerCase()) ||
-                cert.fullName.toLowerCase().includes(search.toLowerCase()) ||
-                cert.sector.toLowerCase().includes(search.toLowerCase());
+        // Ranked by relevance when searching, otherwise kept in country order
+        const results = CERTSearch.search(this.certs, search);
+        this.searchMatches = new Map(results.map(result => [result.cert.id, result.matches]));
 
-            const matchesSector = !sector || cert.sector === sector;
+        const searched = results.map(result => result.cert);
+        const filters = { sectors, regions, countries, statuses, pgp };
 
-            return matchesSearch && matchesSector;
-        });
+        this.filteredCerts = CERTFilters.apply(searched, filters);
+
+        // The map keeps every country visible, so it ignores the country filter
+        this.mapCerts = CERTFilters.apply(searched, { ...filters, countries: [] });
 
+        this.updateFacetCounts(searched, filters);
         this.renderCerts();
+        this.renderMap();
         this.toggleNoResults();
     }
 
+    updateFacetCounts(certs, filters = {}) {
+        const facets = CERTFilters.facets(certs, filters);
+
+        this.renderFacetOptions('sector-filter', facets.sectors);
+        this.renderFacetOptions('region-filter', facets.regions);
+        this.renderFacetOptions('country-filter', facets.countries);
+        this.renderFacetOptions('status-filter', facets.statuses);
+        this.renderFacetOptions('pgp-filter', facets.pgp);
+    }
+
+    renderFacetOptions(elementId, counts) {
+        const select = document.getElementById(elementId);
+        if (!select) return;
+
+        Array.from(select.options).forEach(option => {
+            // The "Any" option of single selects has no count
+            if (!option.value) return;
+
+            if (!option.dataset.label) {
+                option.dataset.label = option.textContent.trim();
+            }
+
+            const count = counts[option.value] || 0;
+            option.textContent = `${option.dataset.label} (${count})`;
+
+            // Keep selected options enabled so they can still be deselected
+            option.disabled = count === 0 && !option.selected;
+        });
+    }
+
     clearFilters() {
-        this.currentFilters = { search: '', sector: '' };
+        this.currentFilters = { search: '', sectors: [], regions: [], countries: [], statuses: [], pgp: null };
 
         const searchInput = document.getElementById('search-input');
-        const sectorFilter = document.getElementById('sector-filter');
-
         if (searchInput) searchInput.value = '';
-        if (sectorFilter) sectorFilter.value = '';
 
+        const pgpFilter = document.getElementById('pgp-filter');
+        if (pgpFilter) pgpFilter.value = '';
+
+        ['sector-filter', 'region-filter', 'country-filter', 'status-filter'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) {
+                Array.from(select.options).forEach(option => {
+                    option.selected = false;
+                });
+            }
+        });
+
+        this.searchMatches = new Map();
         this.filteredCerts = [...this.certs];
+        this.mapCerts = [...this.certs];
+        this.updateFacetCounts(this.certs);
         this.renderCerts();
+        this.renderMap();
         this.toggleNoResults();
     }
 
+    async setView(view) {
+        this.view = view === 'map' ? 'map' : 'grid';
+
+        document.querySelectorAll('.view-button').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.view === this.view));
+        });
+
+        const map = document.getElementById('cert-map');
+        if (map) map.hidden = this.view !== 'map';
+        this.toggleNoResults();
+
+        if (this.view === 'map') {
+            await this.loadMap();
+            this.renderMap();
+        }
+    }
+
+    // The SVG is self-hosted and only fetched the first time the map is opened
+    loadMap() {
+        if (!this.mapLoaded) {
+            this.mapLoaded = fetch('assets/images/world-map.svg')
+                .then(response => {
+                    if (!response.ok) throw new Error('Failed to load world map');
+                    return response.text();
+                })
+                .then(svg => {
+                    const canvas = document.getElementById('map-canvas');
+                    if (canvas) canvas.innerHTML = svg;
+                })
+                .catch(error => {
+                    console.error('Error loading map:', error);
+                    this.mapLoaded = null;
+
+                    const canvas = document.getElementById('map-canvas');
+                    if (canvas) canvas.textContent = this.t('map.loadError');
+                });
+        }
+
+        return this.mapLoaded;
+    }
+
+    filterByCountry(code) {
+        this.currentFilters.countries = [code];
+        this.syncControls();
+        this.applyFilters();
+        this.syncUrl('push');
+        this.setView('grid');
+
+        const certGrid = document.getElementById('cert-grid');
+        if (certGrid) certGrid.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    renderMap() {
+        const canvas = document.getElementById('map-canvas');
+        const svg = canvas && canvas.querySelector('svg');
+        if (this.view !== 'map' || !svg) return;
+
+        const summaries = CERTMap.summarize(this.mapCerts);
+        const selected = this.currentFilters.countries.map(code => code.toUpperCase());
+        const mapped = new Set();
+
+        svg.querySelectorAll('[data-code]').forEach(shape => {
+            const code = shape.dataset.code;
+            const summary = summaries.get(code);
+            const level = CERTMap.level(summary, this.mapMode);
+            mapped.add(code);
+
+            shape.setAttribute('class', [
+                'map-country',
+                level && `map-level-${level} map-country-covered`,
+                selected.includes(code) && 'map-country-selected'
+            ].filter(Boolean).join(' '));
+
+            let title = shape.querySelector('title');
+            if (!title) {
+                title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+                shape.appendChild(title);
+            }
+
+            if (level) {
+                title.textContent = this.describeMapCountry(summary);
+                shape.setAttribute('tabindex', '0');
+                shape.setAttribute('role', 'button');
+            } else {
+                title.textContent = shape.getAttribute('aria-label') || code;
+                shape.removeAttribute('tabindex');
+                shape.removeAttribute('role');
+            }
+        });
+
+        this.renderMapLegend();
+
+        // Constituency codes (EU, international, sector-wide) have no shape on the map
+        const unmapped = [...summaries.values()]
+            .filter(summary => !mapped.has(summary.code))
+            .reduce((total, summary) => total + summary.teams, 0);
+        const note = document.getElementById('map-unmapped');
+        if (note) {
+            note.hidden = unmapped === 0;
+            note.textContent = this.t('map.unmapped', { count: unmapped });
+        }
+    }
+
+    describeMapCountry(summary) {
+        return [
+            `${summary.country}: ${this.t('map.teams', { count: summary.teams })}`,
+            summary.national > 0 && this.t('map.hasNational'),
+            this.t('map.pgpCount', { count: summary.pgp, total: summary.teams })
+        ].filter(Boolean).join(' · ');
+    }
+
+    renderMapLegend() {
+        const legend = document.getElementById('map-legend');
+        if (!legend) return;
+
+        const levels = CERTMap.LEVELS[this.mapMode] || CERTMap.LEVELS.coverage;
+
+        const entries = [
+            ...levels.map(level => [`map-level-${level}`, `map.legend.${this.mapMode}.${level}`]),
+            ['map-level-none', 'map.legend.none']
+        ];
+
+        legend.innerHTML = entries
+            .map(([className, key]) => `<li><span class="map-swatch ${className}"></span>${this.escapeHtml(this.t(key))}</li>`)
+            .join('');
+    }
+
+    exportResults(format) {
+        const file = CERTExport.exportCerts(this.filteredCerts, format);
+        if (!file) return;
+
+        const url = URL.createObjectURL(new Blob([file.body], { type: file.mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = file.filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+
+        CERTUtilities.showToast(this.t('export.done', { count: this.filteredCerts.length }), 'success');
+    }
+
     renderCerts() {
         const certGrid = document.getElementById('cert-grid');
         if (!certGrid) return;
@@ -145,87 +779,221 @@ class CERTopedia {
     }
 
     createCertCard(cert) {
-        const flag = this.getCountryFlag(cert.country);
         const establishedYear = new Date(cert.established).getFullYear() || cert.established;
+        const matches = this.searchMatches.get(cert.id) || {};
+        const highlight = (field) => CERTSearch.highlight(cert[field], matches[field]);
+        const stale = CERTFilters.isStale(cert);
+        const primaryPhone = CERTContacts.primaryPhone(cert);
+        const reportTo = CERTContacts.reportingContact(cert);
+        const permalink = this.escapeHtml(this.t('card.permalink', { name: cert.name }));
 
         return `
-            <div class="cert-card" data-country="${cert.country}" data-sector="${cert.sector}">
-                <div class="cert-badge">✓ Verified</div>
+            <div class="cert-card${stale ? ' cert-card-stale' : ''}" data-id="${cert.id}" data-country="${cert.country}" data-sector="${cert.sector}" data-region="${cert.region}">
+                ${this.createVerificationBadge(cert)}
+                <a href="#cert/${encodeURIComponent(cert.id)}" class="cert-permalink" title="${permalink}" aria-label="${permalink}">🔗</a>
                 <div class="cert-header">
-                    <div class="cert-flag">${flag}</div>
+                    ${this.createFlag(cert)}
                     <div class="cert-info">
-                        <h3>${this.escapeHtml(cert.name)}</h3>
-                        <div class="cert-country">${this.escapeHtml(cert.country)}</div>
+                        <h3>${highlight('name')}</h3>
+                        <div class="cert-country">${highlight('country')}</div>
                     </div>
                 </div>
                 
                 <div class="cert-details">
                     <div class="cert-detail">
                         <span class="cert-detail-icon">🏢</span>
-                        <span class="cert-detail-text">${this.escapeHtml(cert.fullName)}</span>
-                    </div>
-                    <div class="cert-detail">
-                        <span class="cert-detail-icon">📞</span>
-                        <span class="cert-detail-text">${this.escapeHtml(cert.emergencyContact)}</span>
-                    </div>
-                    <div class="cert-detail">
-                        <span class="cert-detail-icon">📧</span>
-                        <span class="cert-detail-text">${this.escapeHtml(cert.email)}</span>
+                        <span class="cert-detail-text">${highlight('fullName')}</span>
                     </div>
+                    ${this.createPhoneDetails(cert)}
+                    ${this.createContactDetails(cert)}
                     <div class="cert-detail">
                         <span class="cert-detail-icon">📅</span>
-                        <span class="cert-detail-text">Est. ${establishedYear}</span>
+                        <span class="cert-detail-text">${this.escapeHtml(this.t('card.established', { year: establishedYear }))}</span>
                     </div>
                     <div class="cert-detail">
                         <span class="cert-detail-icon">🏷️</span>
-                        <span class="cert-detail-text">${this.escapeHtml(cert.sector)}</span>
+                        <span class="cert-detail-text">${matches.sector ? highlight('sector') : this.escapeHtml(this.t(`sector.${cert.sector}`))}</span>
+                    </div>
+                    <div class="cert-detail cert-freshness${stale ? ' cert-freshness-stale' : ''}" title="${this.escapeHtml(this.t('card.lastUpdated', { date: cert.lastUpdated }))}">
+                        <span class="cert-detail-icon">${stale ? '⚠️' : '🕒'}</span>
+                        <span class="cert-detail-text">${this.escapeHtml(this.formatLastVerified(CERTFilters.lastVerified(cert)))}${stale ? this.escapeHtml(this.t('card.staleSuffix')) : ''}</span>
                     </div>
                     ${cert.pgpKey && cert.pgpKey.available ? `
                     <div class="cert-detail">
                         <span class="cert-detail-icon">🔐</span>
-                        <span class="cert-detail-text">PGP Key: ${this.escapeHtml(cert.pgpKey.keyId)}</span>
+                        <span class="cert-detail-text">${this.escapeHtml(this.t('card.pgpKey', { keyId: cert.pgpKey.keyId }))}</span>
                     </div>
                     ` : ''}
                 </div>
                 
-                <p class="cert-description">${this.escapeHtml(cert.description)}</p>
+                <p class="cert-description">${highlight('description')}</p>
                 
                 ${cert.pgpKey && cert.pgpKey.available ? `
                 <div class="cert-pgp">
                     <div class="pgp-header">
                         <span class="pgp-icon">🔐</span>
-                        <span class="pgp-title">PGP Encryption Available</span>
+                        <span class="pgp-title">${this.t('pgp.available')}</span>
                     </div>
                     <div class="pgp-details">
                         <div class="pgp-field">
-                            <span class="pgp-label">Key ID:</span>
+                            <span class="pgp-label">${this.t('pgp.keyId')}</span>
                             <code class="pgp-value">${this.escapeHtml(cert.pgpKey.keyId)}</code>
                         </div>
                         ${cert.pgpKey.fingerprint ? `
                         <div class="pgp-field">
-                            <span class="pgp-label">Fingerprint:</span>
+                            <span class="pgp-label">${this.t('pgp.fingerprint')}</span>
                             <code class="pgp-value pgp-fingerprint">${this.escapeHtml(cert.pgpKey.fingerprint)}</code>
                         </div>
                         ` : ''}
                     </div>
+                    ${cert.pgpKey.keyFile || cert.pgpKey.fingerprint ? `
+                    <div class="pgp-actions">
+                        ${cert.pgpKey.keyFile ? `
+                        <a href="${this.escapeHtml(cert.pgpKey.keyFile)}" download="${cert.id}.asc" class="pgp-action">${this.t('pgp.download')}</a>
+                        ` : ''}
+                        ${cert.pgpKey.fingerprint ? `
+                        <button type="button" class="pgp-action pgp-copy" data-fingerprint="${this.escapeHtml(cert.pgpKey.fingerprint)}">${this.t('pgp.copy')}</button>
+                        ` : ''}
+                    </div>
+                    ` : ''}
                 </div>
                 ` : ''}
                 
+                ${this.createProfilePanel(cert.profile)}
+                
                 <div class="cert-actions">
                     <a href="${this.escapeHtml(cert.website)}" target="_blank" rel="noopener noreferrer" class="cert-action">
-                        🌐 Visit Website
+                        ${this.t('actions.website')}
                     </a>
-                    <a href="mailto:${this.escapeHtml(cert.email)}" class="cert-action">
-                        📧 Send Email
+                    ${reportTo ? `
+                    <a href="${this.escapeHtml(CERTContacts.contactHref(reportTo))}"${reportTo.channel === 'email' ? '' : ' target="_blank" rel="noopener noreferrer"'} class="cert-action cert-action-report">
+                        ${this.t('actions.report')}
                     </a>
-                    <a href="tel:${this.escapeHtml(cert.emergencyContact)}" class="cert-action">
-                        📞 Call Emergency
+                    ` : ''}
+                    ${primaryPhone ? `
+                    <a href="tel:${this.escapeHtml(primaryPhone.number)}" class="cert-action">
+                        ${this.t(primaryPhone.type === 'hotline' ? 'actions.callHotline' : 'actions.callTeam')}
                     </a>
+                    ` : ''}
                 </div>
             </div>
         `;
     }
 
+    // Badge text and tooltip come from the entry's verification record
+    createVerificationBadge(cert) {
+        const status = CERTFilters.verificationStatus(cert);
+        const verification = cert.verification || {};
+        const sources = (verification.sources || []).map(source => source.url).join(', ');
+        const title = [
+            verification.verifiedBy && this.t('badge.checkedBy', { name: verification.verifiedBy }),
+            verification.verifiedAt && this.t('badge.on', { date: verification.verifiedAt }),
+            sources && this.t('badge.against', { sources })
+        ].filter(Boolean).join(' ');
+        const label = CERTFilters.VERIFICATION_STATUSES.includes(status) ? status : 'pending';
+
+        return `<div class="cert-badge cert-badge-${status}" title="${this.escapeHtml(title || this.t('badge.notVerified'))}">${this.escapeHtml(this.t(`badge.${label}`))}</div>`;
+    }
+
+    // Only E.164 numbers get dial links; teams without a voice line are flagged as email only
+    createPhoneDetails(cert) {
+        if (CERTContacts.isEmailOnly(cert)) {
+            return `
+                    <div class="cert-detail cert-email-only">
+                        <span class="cert-detail-icon">✉️</span>
+                        <span class="cert-detail-text">${this.escapeHtml(this.t('card.emailOnly'))}</span>
+                    </div>`;
+        }
+
+        return cert.phones.map(phone => {
+            const meta = [this.t(`phone.${phone.type}`), phone.hours].filter(Boolean).join(' · ');
+            const number = phone.type === 'fax'
+                ? `<span class="cert-detail-text">${this.escapeHtml(phone.display)}</span>`
+                : `<a href="tel:${this.escapeHtml(phone.number)}" class="cert-detail-text cert-phone-number">${this.escapeHtml(phone.display)}</a>`;
+
+            return `
+                    <div class="cert-detail cert-phone">
+                        <span class="cert-detail-icon">${phone.type === 'fax' ? '📠' : '📞'}</span>
+                        ${number}
+                        <span class="cert-phone-meta">${this.escapeHtml(meta)}</span>
+                    </div>`;
+        }).join('');
+    }
+
+    // Contact channels, best for reporting an incident first
+    createContactDetails(cert) {
+        const icons = { email: '📧', 'web-form': '📝', portal: '🔒' };
+        const confirmed = cert.securityTxt && cert.securityTxt.contactConfirmed;
+        const contacts = CERTContacts.sortContacts(cert.contacts);
+
+        return (contacts.length > 0 ? contacts : [{ type: 'general', channel: 'email', value: cert.email }]).map(contact => {
+            const meta = [
+                contact.label || this.t(`contact.${contact.type}`),
+                contact.pgpKey && `PGP ${contact.pgpKey.keyId}`
+            ].filter(Boolean).join(' · ');
+            const external = contact.channel === 'email' ? '' : ' target="_blank" rel="noopener noreferrer"';
+
+            return `
+                    <div class="cert-detail cert-contact">
+                        <span class="cert-detail-icon">${icons[contact.channel] || '📧'}</span>
+                        <a href="${this.escapeHtml(CERTContacts.contactHref(contact))}"${external} class="cert-detail-text cert-contact-value">${this.escapeHtml(contact.value)}</a>
+                        <span class="cert-contact-meta">${this.escapeHtml(meta)}</span>
+                        ${confirmed && contact.channel === 'email' && contact.value === cert.email ? `
+                        <a href="${this.escapeHtml(cert.securityTxt.url)}" target="_blank" rel="noopener noreferrer" class="cert-confirmed" title="${this.escapeHtml(this.t('card.checkedOn', { date: cert.securityTxt.checkedAt }))}">${this.escapeHtml(this.t('card.contactConfirmed'))}</a>
+                        ` : ''}
+                    </div>`;
+        }).join('');
+    }
+
+    formatLastVerified(lastUpdated) {
+        const months = CERTFilters.monthsSince(lastUpdated);
+
+        if (months === null) {
+            return this.t('card.neverVerified');
+        }
+        if (months === 0) {
+            return this.t('card.verifiedThisMonth');
+        }
+        return this.t('card.verifiedMonthsAgo', { count: months });
+    }
+
+    // RFC 2350 team profile, collapsed by default so cards stay compact
+    createProfilePanel(profile) {
+        if (!profile) {
+            return '';
+        }
+
+        const text = (value) => this.escapeHtml(Array.isArray(value) ? value.join(', ') : value);
+        const link = (url) => `<a href="${this.escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(url)}</a>`;
+        const rows = [
+            [this.t('profile.constituency'), profile.constituency, text],
+            [this.t('profile.hours'), profile.hoursOfOperation, text],
+            [this.t('profile.timezone'), profile.timezone, text],
+            [this.t('profile.languages'), profile.languages, text],
+            [this.t('profile.reportingUrl'), profile.reportingUrl, link],
+            [this.t('profile.authority'), profile.authority, text],
+            [this.t('profile.services'), profile.services, text],
+            [this.t('profile.disclosurePolicy'), profile.disclosurePolicy, text],
+            [this.t('profile.rfc2350Url'), profile.rfc2350Url, link]
+        ].filter(([, value]) => value && (!Array.isArray(value) || value.length > 0));
+
+        if (rows.length === 0) {
+            return '';
+        }
+
+        return `
+                <details class="cert-profile">
+                    <summary>${this.escapeHtml(this.t('profile.summary'))}</summary>
+                    <dl class="cert-profile-fields">
+                        ${rows.map(([label, value, render]) => `
+                        <dt>${this.escapeHtml(label)}</dt>
+                        <dd>${render(value)}</dd>
+                        `).join('')}
+                    </dl>
+                </details>
+        `;
+    }
+
     setupCertCardAnalytics() {
         document.querySelectorAll('.cert-action').forEach(link => {
             link.addEventListener('click', (e) => {
@@ -242,6 +1010,12 @@ class CERTopedia {
     updateStats() {
         const certCount = document.getElementById('cert-count');
         const countryCount = document.getElementById('country-count');
+        const verifiedRate = document.getElementById('verified-rate');
+
+        // Counts replace the translated "Loading..." placeholder for good
+        [certCount, countryCount, verifiedRate].forEach(element => {
+            if (element) element.removeAttribute('data-i18n');
+        });
 
         if (certCount) {
             this.animateNumber(certCount, this.certs.length);
@@ -251,6 +1025,12 @@ class CERTopedia {
             const uniqueCountries = new Set(this.certs.map(cert => cert.country)).size;
             this.animateNumber(countryCount, uniqueCountries);
         }
+
+        if (verifiedRate) {
+            const verified = this.certs.filter(cert => CERTFilters.isVerified(cert)).length;
+            const rate = this.certs.length > 0 ? Math.round((verified / this.certs.length) * 100) : 0;
+            verifiedRate.textContent = `${rate}%`;
+        }
     }
 
     animateNumber(element, target) {
@@ -263,7 +1043,7 @@ class CERTopedia {
             const progress = Math.min(elapsed / duration, 1);
 
             const currentValue = Math.floor(startValue + (target - startValue) * this.easeOutQuart(progress));
-            element.textContent = currentValue.toLocaleString();
+            element.textContent = currentValue.toLocaleString(this.locale);
 
             if (progress < 1) {
                 requestAnimationFrame(animate);
@@ -281,7 +1061,11 @@ class CERTopedia {
         const noResults = document.getElementById('no-results');
         const certGrid = document.getElementById('cert-grid');
 
-        if (this.filteredCerts.length === 0) {
+        // The map view replaces the card grid and colours countries even without results
+        if (this.view === 'map') {
+            if (noResults) noResults.style.display = 'none';
+            if (certGrid) certGrid.style.display = 'none';
+        } else if (this.filteredCerts.length === 0) {
             if (noResults) noResults.style.display = 'block';
             if (certGrid) certGrid.style.display = 'none';
         } else {
@@ -308,68 +1092,26 @@ class CERTopedia {
             certGrid.innerHTML = `
                 <div style="grid-column: 1 / -1; text-align: center; padding: 3rem; color: var(--error-color);">
                     <div style="font-size: 3rem; margin-bottom: 1rem;">⚠️</div>
-                    <h3>Error Loading CERT Directory</h3>
+                    <h3>${this.escapeHtml(this.t('directory.errorTitle'))}</h3>
                     <p>${message}</p>
                 </div>
             `;
         }
     }
 
-    getCountryFlag(country) {
-        const flagMap = {
-            'Australia': '🇦🇺',
-            'Canada': '🇨🇦',
-            'Germany': '🇩🇪',
-            'United Kingdom': '🇬🇧',
-            'United States': '🇺🇸',
-            'Japan': '🇯🇵',
-            'France': '🇫🇷',
-            'Netherlands': '🇳🇱',
-            'Singapore': '🇸🇬',
-            'South Korea': '🇰🇷',
-            'Brazil': '🇧🇷',
-            'India': '🇮🇳',
-            'China': '🇨🇳',
-            'Russia': '🇷🇺',
-            'South Africa': '🇿🇦',
-            'Mexico': '🇲🇽',
-            'Italy': '🇮🇹',
-            'Spain': '🇪🇸',
-            'Sweden': '🇸🇪',
-            'Norway': '🇳🇴',
-            'Finland': '🇫🇮',
-            'Denmark': '🇩🇰',
-            'Belgium': '🇧🇪',
-            'Switzerland': '🇨🇭',
-            'Austria': '🇦🇹',
-            'Poland': '🇵🇱',
-            'Czech Republic': '🇨🇿',
-            'Hungary': '🇭🇺',
-            'Romania': '🇷🇴',
-            'Bulgaria': '🇧🇬',
-            'Croatia': '🇭🇷',
-            'Serbia': '🇷🇸',
-            'Ukraine': '🇺🇦',
-            'Turkey': '🇹🇷',
-            'Israel': '🇮🇱',
-            'Saudi Arabia': '🇸🇦',
-            'United Arab Emirates': '🇦🇪',
-            'Egypt': '🇪🇬',
-            'Nigeria': '🇳🇬',
-            'Kenya': '🇰🇪',
-            'Thailand': '🇹🇭',
-            'Malaysia': '🇲🇾',
-            'Indonesia': '🇮🇩',
-            'Philippines': '🇵🇭',
-            'Vietnam': '🇻🇳',
-            'New Zealand': '🇳🇿',
-            'Chile': '🇨🇱',
-            'Argentina': '🇦🇷',
-            'Colombia': '🇨🇴',
-            'Peru': '🇵🇪'
-        };
+    // Platforms without flag emoji (notably Windows) show the ISO code instead
+    createFlag(cert) {
+        const code = this.escapeHtml(cert.countryCode || '');
 
-        return flagMap[country] || '🏴';
+        if (!CERTCountries.hasFlag(cert.countryCode)) {
+            return `<div class="cert-flag" aria-hidden="true">${CERTCountries.flagEmoji(cert.countryCode)}</div>`;
+        }
+
+        return `
+                    <div class="cert-flag" title="${code}" aria-hidden="true">
+                        <span class="cert-flag-emoji">${CERTCountries.flagEmoji(cert.countryCode)}</span>
+                        <span class="cert-flag-code">${code}</span>
+                    </div>`;
     }
 
     escapeHtml(text) {
@@ -403,6 +1145,16 @@ class CERTUtilities {
         return emailRegex.test(email);
     }
 
+    // Without flag glyphs the two regional indicators render as separate letters, about twice as wide
+    static supportsFlagEmoji() {
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext && canvas.getContext('2d');
+        if (!context) return true;
+
+        context.font = '32px sans-serif';
+        return context.measureText('🇺🇳').width < context.measureText('🇺').width * 1.5;
+    }
+
     static copyToClipboard(text) {
         if (navigator.clipboard && window.isSecureContext) {
             return navigator.clipboard.writeText(text);
@@ -464,9 +1216,14 @@ class CERTUtilities {
 
 // Initialize the application when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
-    new CERTopedia();
+    window.certopedia = new CERTopedia();
 });
 
+// Toasts raised outside the app instance still follow the chosen language
+function translateMessage(key) {
+    return window.certopedia ? window.certopedia.t(key) : key;
+}
+
 // Add copy functionality to contact information
 document.addEventListener('click', (e) => {
     if (e.target.closest('.cert-action') && e.ctrlKey) {
@@ -483,8 +1240,18 @@ document.addEventListener('click', (e) => {
         }
 
         CERTUtilities.copyToClipboard(textToCopy)
-            .then(() => CERTUtilities.showToast('Copied to clipboard!', 'success'))
-            .catch(() => CERTUtilities.showToast('Failed to copy', 'error'));
+            .then(() => CERTUtilities.showToast(translateMessage('toast.copied'), 'success'))
+            .catch(() => CERTUtilities.showToast(translateMessage('toast.copyFailed'), 'error'));
+    }
+});
+
+// Copy a PGP fingerprint from the card
+document.addEventListener('click', (e) => {
+    const button = e.target.closest('.pgp-copy');
+    if (button) {
+        CERTUtilities.copyToClipboard(button.dataset.fingerprint)
+            .then(() => CERTUtilities.showToast(translateMessage('toast.fingerprintCopied'), 'success'))
+            .catch(() => CERTUtilities.showToast(translateMessage('toast.copyFailed'), 'error'));
     }
 });
 
@@ -0,0 +1,73 @@
+/**
+ * Per-country summaries for the map view, shared by the browser
+ * (window.CERTMap) and Node (require('../assets/js/map')).
+ *
+ * The map itself is assets/images/world-map.svg, whose country shapes
+ * carry their ISO 3166-1 code in data-code; entries are matched on
+ * countryCode, so constituency codes such as EU have no shape. National
+ * CERTs are told apart as in the coverage report.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./coverage'));
+    } else {
+        root.CERTMap = factory(root.CERTCoverage);
+    }
+}(typeof self !== 'undefined' ? self : this, function (CERTCoverage) {
+    'use strict';
+
+    const MODES = ['coverage', 'teams', 'pgp'];
+
+    // Legend entries per mode, strongest colour first
+    const LEVELS = {
+        coverage: ['high', 'low'],
+        teams: ['high', 'mid', 'low'],
+        pgp: ['high', 'mid', 'low']
+    };
+
+    function summarize(certs) {
+        const summaries = new Map();
+
+        certs.forEach(cert => {
+            const code = String(cert.countryCode || '').toUpperCase();
+            if (!code) return;
+
+            if (!summaries.has(code)) {
+                summaries.set(code, { code, country: cert.country, teams: 0, national: 0, pgp: 0 });
+            }
+
+            const summary = summaries.get(code);
+            summary.teams++;
+            if (CERTCoverage.isNational(cert)) summary.national++;
+            if (cert.pgpKey && cert.pgpKey.available === true) summary.pgp++;
+        });
+
+        return summaries;
+    }
+
+    /**
+     * Colour level of a country summary: "high", "mid" or "low", or null
+     * for a country without teams.
+     */
+    function level(summary, mode) {
+        if (!summary || summary.teams === 0) {
+            return null;
+        }
+
+        switch (mode) {
+        case 'teams':
+            return summary.teams >= 3 ? 'high' : summary.teams === 2 ? 'mid' : 'low';
+        case 'pgp':
+            return summary.pgp === summary.teams ? 'high' : summary.pgp > 0 ? 'mid' : 'low';
+        default:
+            return summary.national > 0 ? 'high' : 'low';
+        }
+    }
+
+    return {
+        MODES,
+        LEVELS,
+        summarize,
+        level
+    };
+}));
@@ -0,0 +1,109 @@
+/**
+ * OpenAPI helpers shared by the API reference page (window.CERTOpenApi),
+ * the API Lambda and scripts/contract-test.js (require('../assets/js/openapi')).
+ *
+ * data/openapi.json is written by hand and refers to the entry shape in
+ * data/cert.schema.json instead of repeating it. bundle() copies the
+ * schema's $defs into components.schemas and points every reference at
+ * them, so the result stands alone; that is what /api/openapi.json serves
+ * and what the schema validator, which only follows local $ref, checks
+ * responses against.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CERTOpenApi = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const SCHEMA_FILE = 'cert.schema.json';
+    const SCHEMA_REF = new RegExp(`^(${SCHEMA_FILE.replace('.', '\\.')})?#/\\$defs/`);
+    const METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+    function rewriteRefs(node) {
+        if (Array.isArray(node)) {
+            return node.map(rewriteRefs);
+        }
+
+        if (!node || typeof node !== 'object') {
+            return node;
+        }
+
+        return Object.fromEntries(Object.entries(node).map(([key, value]) => (
+            key === '$ref' && typeof value === 'string'
+                ? [key, value.replace(SCHEMA_REF, '#/components/schemas/')]
+                : [key, rewriteRefs(value)]
+        )));
+    }
+
+    function bundle(spec, certSchema) {
+        const schemas = (spec.components && spec.components.schemas) || {};
+        const collisions = Object.keys(certSchema.$defs).filter(name => schemas[name]);
+        if (collisions.length > 0) {
+            throw new Error(`Schema names in both openapi.json and ${SCHEMA_FILE}: ${collisions.join(', ')}`);
+        }
+
+        return rewriteRefs({
+            ...spec,
+            components: {
+                ...spec.components,
+                schemas: { ...schemas, ...certSchema.$defs }
+            }
+        });
+    }
+
+    // Local references only, e.g. "#/components/schemas/cert"
+    function resolveRef(doc, ref) {
+        return ref.slice(2).split('/').reduce((node, token) =>
+            node && node[token.replace(/~1/g, '/').replace(/~0/g, '~')], doc);
+    }
+
+    // Follow a $ref (parameters, responses and headers may be one) to the object itself
+    function deref(doc, node) {
+        return node && node.$ref ? { ...resolveRef(doc, node.$ref), ...omitRef(node) } : node;
+    }
+
+    function omitRef(node) {
+        return Object.fromEntries(Object.entries(node).filter(([key]) => key !== '$ref'));
+    }
+
+    /**
+     * Every operation in document order as { path, method, operation,
+     * parameters }, with path-level and operation parameters resolved.
+     */
+    function operations(doc) {
+        return Object.entries(doc.paths || {}).flatMap(([path, item]) => METHODS
+            .filter(method => item[method])
+            .map(method => ({
+                path,
+                method,
+                operation: item[method],
+                parameters: [...(item.parameters || []), ...(item[method].parameters || [])].map(parameter => deref(doc, parameter))
+            })));
+    }
+
+    // Short label for a schema, e.g. "array of CertProjection" or "string | null"
+    function typeLabel(doc, schema) {
+        if (!schema || schema === true) return 'any';
+        if (schema.$ref) return schema.$ref.split('/').pop();
+        if (schema.const !== undefined) return JSON.stringify(schema.const);
+        if (schema.enum) return schema.enum.map(value => JSON.stringify(value)).join(' | ');
+
+        const alternatives = schema.oneOf || schema.anyOf;
+        if (alternatives) return alternatives.map(option => option.title || typeLabel(doc, option)).join(' | ');
+        if (schema.allOf) return schema.allOf.map(part => typeLabel(doc, part)).join(' & ');
+
+        const types = [].concat(schema.type || (schema.properties ? 'object' : 'any'));
+        return types.map(type => (type === 'array' ? `array of ${typeLabel(doc, schema.items)}` : type)).join(' | ');
+    }
+
+    return {
+        bundle,
+        resolveRef,
+        deref,
+        operations,
+        typeLabel
+    };
+}));
@@ -0,0 +1,294 @@
+/**
+ * Ranked fuzzy search over CERT entries.
+ *
+ * Shared by the browser (window.CERTSearch) and the API Lambda
+ * (require('../assets/js/search')) so both sides search the same fields
+ * and rank results the same way.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CERTSearch = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Relative weight of a match in each searchable field
+    const FIELD_WEIGHTS = {
+        name: 10,
+        aliases: 9,
+        country: 8,
+        fullName: 6,
+        sector: 4,
+        description: 2
+    };
+
+    // Score of each kind of token match, before field weighting
+    const MATCH_SCORES = {
+        exact: 1,
+        prefix: 0.75,
+        compact: 0.6,
+        fuzzy: [0, 0.5, 0.35]
+    };
+
+    // Common names people type instead of the official country name
+    const COUNTRY_ALIASES = {
+        'Australia': ['aus'],
+        'Brazil': ['brasil'],
+        'Germany': ['deutschland'],
+        'Japan': ['nippon'],
+        'Netherlands': ['holland'],
+        'South Korea': ['korea', 'rok'],
+        'United Kingdom': ['uk', 'britain'],
+        'United States': ['usa', 'america']
+    };
+
+    const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+    function normalize(text) {
+        return String(text)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+
+    function tokenize(query) {
+        return String(query || '')
+            .split(/\s+/)
+            .map(term => normalize(term).replace(/[^\p{L}\p{N}]/gu, ''))
+            .filter(Boolean);
+    }
+
+    // Index one or more phrases; compact matches never run from one phrase into the next
+    function indexText(text) {
+        const phrases = (Array.isArray(text) ? text : [text])
+            .filter(phrase => phrase !== null && phrase !== undefined)
+            .map(String);
+        const words = [];
+        let compact = '';
+        let base = 0;
+
+        phrases.forEach(phrase => {
+            let match;
+
+            WORD_PATTERN.lastIndex = 0;
+            while ((match = WORD_PATTERN.exec(phrase)) !== null) {
+                const value = normalize(match[0]);
+                words.push({
+                    value,
+                    start: base + match.index,
+                    end: base + match.index + match[0].length,
+                    offset: compact.length
+                });
+                compact += value;
+            }
+
+            compact += '|';
+            base += phrase.length + 1;
+        });
+
+        return { words, compact };
+    }
+
+    function acronym(text) {
+        return (String(text || '').match(/\b\p{Lu}/gu) || []).join('');
+    }
+
+    function buildIndex(cert) {
+        const aliases = [
+            cert.id,
+            ...(Array.isArray(cert.aliases) ? cert.aliases : []),
+            cert.countryCode,
+            ...(COUNTRY_ALIASES[cert.country] || []),
+            acronym(cert.fullName)
+        ].filter(Boolean);
+
+        return {
+            name: indexText(cert.name),
+            aliases: indexText(aliases),
+            country: indexText(cert.country),
+            fullName: indexText(cert.fullName),
+            sector: indexText(cert.sector),
+            description: indexText(cert.description)
+        };
+    }
+
+    // Optimal string alignment distance, giving up once it exceeds maxDistance
+    function editDistance(a, b, maxDistance) {
+        if (Math.abs(a.length - b.length) > maxDistance) {
+            return maxDistance + 1;
+        }
+
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const nextRow = [i];
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+                if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousRow[j - 2] + 1);
+                }
+
+                nextRow.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+
+            if (rowMin > maxDistance) {
+                return maxDistance + 1;
+            }
+
+            previousRow = row;
+            row = nextRow;
+        }
+
+        return row[b.length];
+    }
+
+    function allowedTypos(term) {
+        if (term.length >= 8) return 2;
+        if (term.length >= 4) return 1;
+        return 0;
+    }
+
+    // Best match of a single query term within one indexed field
+    function matchTerm(term, field) {
+        let best = null;
+        const consider = (score, range) => {
+            if (!best || score > best.score) {
+                best = { score, range };
+            }
+        };
+
+        field.words.forEach(word => {
+            if (word.value === term) {
+                consider(MATCH_SCORES.exact, [word.start, word.end]);
+            } else if (term.length >= 2 && word.value.startsWith(term)) {
+                consider(MATCH_SCORES.prefix, [word.start, word.end]);
+            } else {
+                const maxDistance = allowedTypos(term);
+                if (maxDistance > 0) {
+                    const distance = editDistance(term, word.value, maxDistance);
+                    if (distance <= maxDistance) {
+                        consider(MATCH_SCORES.fuzzy[distance], [word.start, word.end]);
+                    }
+                }
+            }
+        });
+
+        // "certeu" should still find "CERT-EU", so also look across word boundaries
+        if ((!best || best.score < MATCH_SCORES.compact) && term.length >= 3) {
+            const position = field.compact.indexOf(term);
+            if (position !== -1) {
+                const covered = field.words.filter(word =>
+                    word.offset < position + term.length && word.offset + word.value.length > position
+                );
+                consider(MATCH_SCORES.compact, [covered[0].start, covered[covered.length - 1].end]);
+            }
+        }
+
+        return best;
+    }
+
+    function scoreCert(cert, terms) {
+        const index = buildIndex(cert);
+        const matches = {};
+        let score = 0;
+
+        for (const term of terms) {
+            let termScore = 0;
+
+            Object.keys(FIELD_WEIGHTS).forEach(fieldName => {
+                const match = matchTerm(term, index[fieldName]);
+                if (!match) return;
+
+                termScore = Math.max(termScore, match.score * FIELD_WEIGHTS[fieldName]);
+                (matches[fieldName] = matches[fieldName] || []).push(match.range);
+            });
+
+            // Every term has to match somewhere
+            if (termScore === 0) {
+                return null;
+            }
+
+            score += termScore;
+        }
+
+        return { cert, score, matches };
+    }
+
+    /**
+     * Search CERT entries and rank them by relevance.
+     *
+     * Returns [{ cert, score, matches }] best first, where matches maps a
+     * field name to the [start, end] character ranges that matched. An
+     * empty query returns every entry in its original order.
+     */
+    function search(certs, query) {
+        const terms = tokenize(query);
+
+        if (terms.length === 0) {
+            return certs.map(cert => ({ cert, score: 0, matches: {} }));
+        }
+
+        return certs
+            .map(cert => scoreCert(cert, terms))
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Escape text for HTML and wrap the given match ranges in <mark>.
+     */
+    function highlight(text, ranges) {
+        const source = text === null || text === undefined ? '' : String(text);
+
+        if (!ranges || ranges.length === 0) {
+            return escapeHtml(source);
+        }
+
+        const merged = [...ranges]
+            .sort((a, b) => a[0] - b[0])
+            .reduce((acc, range) => {
+                const last = acc[acc.length - 1];
+                if (last && range[0] <= last[1]) {
+                    last[1] = Math.max(last[1], range[1]);
+                } else {
+                    acc.push([range[0], range[1]]);
+                }
+                return acc;
+            }, []);
+
+        let html = '';
+        let cursor = 0;
+        merged.forEach(([start, end]) => {
+            html += escapeHtml(source.slice(cursor, start));
+            html += `<mark>${escapeHtml(source.slice(start, end))}</mark>`;
+            cursor = end;
+        });
+
+        return html + escapeHtml(source.slice(cursor));
+    }
+
+    return {
+        normalize,
+        tokenize,
+        search,
+        highlight,
+        escapeHtml
+    };
+}));
@@ -1,11 +1,58 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const CERTSearch = require('../assets/js/search');
+const CERTFilters = require('../assets/js/filters');
+const CERTExport = require('../assets/js/export');
+const CERTContacts = require('../assets/js/contacts');
+const CERTI18n = require('../assets/js/i18n');
+const CERTCoverage = require('../assets/js/coverage');
+const { validate, formatError } = require('./schema-validator');
+const { parseSubmission } = require('./submissions');
+const { createStore, storageError: submissionStorageError, newId } = require('./submission-store');
+const { authenticate, hasRole } = require('./auth');
+const auditLog = require('./audit-log');
+const { DATA_DIR, storageError: dataStorageError, readData, changeRecords, saveData, replaceCert, patchCert, retireCert } = require('./cert-writes');
+const RateLimit = require('./rate-limit');
+const HttpCache = require('./http-cache');
+const OpenApi = require('./openapi');
+const certSchema = require('../data/cert.schema.json');
+const isoCountries = require('../data/countries.json');
 
 // Cache for CERT data
 let certData = null;
 let certDataTimestamp = 0;
+let changesData = null;
+let changesDataTimestamp = 0;
+// { hash, timestamp } of the loaded certs.json; the timestamp is also the Last-Modified of data responses
+let dataVersion = null;
 const CACHE_TTL = 600000; // 10 minutes
 
+const SITE_URL = `https://${process.env.DOMAIN_NAME || 'cert.danieloo.com'}`;
+
+// Months after lastUpdated before an entry counts as stale
+const STALE_AFTER_MONTHS = Number(process.env.STALE_AFTER_MONTHS) || CERTFilters.STALE_AFTER_MONTHS;
+
+// Pagination and sorting for /certs
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const SORTABLE_FIELDS = ['relevance', 'name', 'country', 'established', 'lastUpdated'];
+const SELECTABLE_FIELDS = [
+    'id', 'aliases', 'country', 'countryCode', 'region', 'subregion',
+    'name', 'fullName', 'website',
+    'emergencyContact', 'phones', 'email', 'contacts', 'established', 'description',
+    'sector', 'pgpKey', 'profile', 'securityTxt', 'verification', 'translations', 'lastUpdated'
+];
+
+// Request bodies (submissions and entry writes) are capped
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Per-route rules, with any RATE_LIMITS overrides, read once per instance
+const RATE_LIMITS = RateLimit.loadLimits();
+
+let submissionStore = null;
+let rateLimitStore = null;
+
 function loadCertData() {
     const now = Date.now();
 
@@ -14,11 +61,19 @@ function loadCertData() {
     }
 
     try {
-        const dataPath = path.join(__dirname, '../data/certs.json');
+        const dataPath = path.join(DATA_DIR, 'certs.json');
         const rawData = fs.readFileSync(dataPath, 'utf8');
-        certData = JSON.parse(rawData);
+        // Serve the best channel for reporting an incident first
+        certData = JSON.parse(rawData).map(cert => (Array.isArray(cert.contacts)
+            ? { ...cert, contacts: CERTContacts.sortContacts(cert.contacts) }
+            : cert));
         certDataTimestamp = now;
 
+        const hash = HttpCache.contentHash(rawData).slice(0, 16);
+        if (!dataVersion || dataVersion.hash !== hash) {
+            dataVersion = { hash, timestamp: latestChange(certData) };
+        }
+
         console.log(`Loaded ${certData.length} CERT entries`);
         return certData;
     } catch (error) {
@@ -27,64 +82,291 @@ function loadCertData() {
     }
 }
 
+// Changelog written by scripts/diff-certs.js, newest first
+function loadChanges() {
+    const now = Date.now();
+
+    if (changesData && now - changesDataTimestamp < CACHE_TTL) {
+        return changesData;
+    }
+
+    try {
+        const changesPath = path.join(DATA_DIR, 'changes.json');
+        changesData = JSON.parse(fs.readFileSync(changesPath, 'utf8'));
+        changesDataTimestamp = now;
+        return changesData;
+    } catch (error) {
+        console.error('Error loading change history:', error);
+        return [];
+    }
+}
+
+// Date of the newest edit or removal: the latest lastUpdated or changelog record
+function latestChange(certs) {
+    return [...certs.map(cert => cert.lastUpdated), ...loadChanges().map(change => change.date)]
+        .filter(Boolean)
+        .sort()
+        .pop() || null;
+}
+
+// Log every schema violation with its JSON pointer, e.g. "/4/pgpKey/keyId"
 function validateCertData(data) {
-    const requiredFields = [
-        'country', 'name', 'fullName', 'website',
-        'emergencyContact', 'email', 'established',
-        'description', 'sector', 'verified', 'lastUpdated'
-    ];
-
-    return data.every(cert => {
-        const hasRequiredFields = requiredFields.every(field =>
-            Object.prototype.hasOwnProperty.call(cert, field) && cert[field] !== null && cert[field] !== undefined
-        );
-
-        const hasValidPgpKey = cert.pgpKey &&
-      typeof cert.pgpKey.available === 'boolean' &&
-      (cert.pgpKey.available === false ||
-       (cert.pgpKey.keyId && typeof cert.pgpKey.keyId === 'string'));
-
-        return hasRequiredFields && hasValidPgpKey;
-    });
+    const errors = validate(certSchema, data);
+
+    errors.forEach(error => console.warn(`certs.json ${formatError(error)}`));
+
+    return errors.length === 0;
+}
+
+function parseFlag(value) {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    return null;
+}
+
+// Sector, region, country and status accept comma-separated lists, e.g. country=DE,FR
+function buildFilterSpec(filters) {
+    return {
+        sectors: CERTFilters.parseList(filters.sector),
+        regions: CERTFilters.parseList(filters.region),
+        countries: CERTFilters.parseList(filters.country),
+        statuses: CERTFilters.parseList(filters.status),
+        pgp: parseFlag(filters.pgp),
+        verified: parseFlag(filters.verified),
+        stale: parseFlag(filters.stale),
+        staleAfterMonths: STALE_AFTER_MONTHS
+    };
+}
+
+// Rank by relevance using the same search as the web UI
+function searchCerts(certs, search) {
+    if (!search) {
+        return [...certs];
+    }
+
+    return CERTSearch.search(certs, search).map(result => result.cert);
 }
 
 function filterCerts(certs, filters = {}) {
-    let filtered = [...certs];
+    return CERTFilters.apply(searchCerts(certs, filters.search), buildFilterSpec(filters));
+}
+
+function getFacets(certs, filters = {}) {
+    return CERTFilters.facets(searchCerts(certs, filters.search), buildFilterSpec(filters));
+}
+
+function parseListOptions(queryParams) {
+    const limit = queryParams.has('limit') ? Number(queryParams.get('limit')) : DEFAULT_PAGE_SIZE;
+    const offset = queryParams.has('offset') ? Number(queryParams.get('offset')) : 0;
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+    }
+
+    if (!Number.isInteger(offset) || offset < 0) {
+        return { error: 'offset must be a non-negative integer' };
+    }
+
+    // Search results default to relevance order, plain listings to country order
+    const sortField = queryParams.get('sort') || (queryParams.get('search') ? 'relevance' : 'country');
+    const sortOrder = (queryParams.get('order') || (sortField === 'relevance' ? 'desc' : 'asc')).toLowerCase();
+
+    if (!SORTABLE_FIELDS.includes(sortField)) {
+        return { error: `sort must be one of: ${SORTABLE_FIELDS.join(', ')}` };
+    }
+
+    if (sortOrder !== 'asc' && sortOrder !== 'desc') {
+        return { error: 'order must be asc or desc' };
+    }
+
+    if (sortField === 'relevance' && !queryParams.get('search')) {
+        return { error: 'sort=relevance requires a search term' };
+    }
+
+    const format = (queryParams.get('format') || 'json').toLowerCase();
+    if (!CERTExport.FORMATS.includes(format)) {
+        return { error: `format must be one of: ${CERTExport.FORMATS.join(', ')}` };
+    }
+
+    let fields = null;
+    if (queryParams.get('fields')) {
+        fields = queryParams.get('fields').split(',').map(field => field.trim()).filter(Boolean);
+        const unknown = fields.filter(field => !SELECTABLE_FIELDS.includes(field));
+
+        if (unknown.length > 0) {
+            return { error: `Unknown field(s): ${unknown.join(', ')}` };
+        }
+    }
+
+    return {
+        options: {
+            limit,
+            offset,
+            sort: { field: sortField, order: sortOrder },
+            fields,
+            format,
+            // Already checked by the handler
+            locale: parseLocale(queryParams)
+        }
+    };
+}
+
+// ?lang=fr localizes names and descriptions and sorts with that language's collator
+function parseLocale(queryParams) {
+    const locale = (queryParams.get('lang') || CERTI18n.DEFAULT_LOCALE).toLowerCase();
+    return CERTI18n.isSupported(locale) ? locale : null;
+}
+
+function compareCerts(a, b, field, locale = CERTI18n.DEFAULT_LOCALE) {
+    if (field === 'established') {
+        return (parseInt(a.established, 10) || 0) - (parseInt(b.established, 10) || 0);
+    }
+
+    if (field === 'lastUpdated') {
+        return new Date(a.lastUpdated) - new Date(b.lastUpdated);
+    }
+
+    return CERTI18n.compare(locale, a[field], b[field]);
+}
+
+function sortCerts(certs, sort, locale) {
+    // Search results arrive best match first
+    if (sort.field === 'relevance') {
+        return sort.order === 'desc' ? [...certs] : [...certs].reverse();
+    }
+
+    const direction = sort.order === 'desc' ? -1 : 1;
+
+    // Fall back to country and name so equal keys keep a stable order across pages
+    return [...certs].sort((a, b) =>
+        direction * compareCerts(a, b, sort.field, locale) ||
+        compareCerts(a, b, 'country', locale) ||
+        compareCerts(a, b, 'name', locale)
+    );
+}
+
+function projectCert(cert, fields) {
+    if (!fields) {
+        return cert;
+    }
+
+    // Always keep the id so projected entries can still be fetched individually
+    return ['id', ...fields.filter(field => field !== 'id')].reduce((acc, field) => {
+        if (Object.prototype.hasOwnProperty.call(cert, field)) {
+            acc[field] = cert[field];
+        }
+        return acc;
+    }, {});
+}
+
+function buildPageLink(queryParams, offset) {
+    const params = new URLSearchParams(queryParams);
+    params.set('offset', offset);
+    return `/api/certs?${params.toString()}`;
+}
+
+function paginateCerts(certs, options, queryParams) {
+    const { limit, offset } = options;
+    const page = sortCerts(certs, options.sort, options.locale)
+        .slice(offset, offset + limit)
+        .map(cert => projectCert(cert, options.fields));
+
+    return {
+        data: page,
+        total: certs.length,
+        count: page.length,
+        limit,
+        offset,
+        next: offset + limit < certs.length ? buildPageLink(queryParams, offset + limit) : null,
+        prev: offset > 0 ? buildPageLink(queryParams, Math.max(offset - limit, 0)) : null
+    };
+}
 
-    // Filter by search term
-    if (filters.search) {
-        const searchTerm = filters.search.toLowerCase();
-        filtered = filtered.filter(cert =>
-            cert.country.toLowerCase().includes(searchTerm) ||
-      cert.name.toLowerCase().includes(searchTerm) ||
-      cert.fullName.toLowerCase().includes(searchTerm) ||
-      cert.sector.toLowerCase().includes(searchTerm) ||
-      cert.description.toLowerCase().includes(searchTerm)
-        );
+// A path segment with its percent-escapes decoded, or null when one is malformed (e.g. "%E0")
+function decodePathSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        return null;
     }
+}
+
+function findCertById(certs, id) {
+    const normalizedId = id.toLowerCase();
+    const cert = certs.find(entry => entry.id === normalizedId);
 
-    // Filter by sector
-    if (filters.sector && filters.sector !== 'all') {
-        filtered = filtered.filter(cert =>
-            cert.sector.toLowerCase() === filters.sector.toLowerCase()
-        );
+    if (cert) {
+        return { cert, redirected: false };
     }
 
-    // Filter by country
-    if (filters.country) {
-        filtered = filtered.filter(cert =>
-            cert.country.toLowerCase() === filters.country.toLowerCase()
-        );
+    // Former IDs keep resolving after a team is renamed
+    const renamed = certs.find(entry =>
+        Array.isArray(entry.aliases) && entry.aliases.includes(normalizedId)
+    );
+
+    return renamed ? { cert: renamed, redirected: true } : null;
+}
+
+// Armored public key from the offline store in DATA_DIR/pgp, or null if none is on file
+function loadPgpKey(cert) {
+    if (!cert.pgpKey || !cert.pgpKey.available || !cert.pgpKey.keyFile) {
+        return null;
     }
 
-    // Filter by PGP availability
-    if (filters.pgp === 'true') {
-        filtered = filtered.filter(cert =>
-            cert.pgpKey && cert.pgpKey.available === true
-        );
+    // Only ever read from the key store next to certs.json, whatever keyFile says
+    const keyPath = path.join(DATA_DIR, 'pgp', path.basename(cert.pgpKey.keyFile));
+
+    try {
+        return fs.readFileSync(keyPath, 'utf8');
+    } catch (error) {
+        console.error(`Error loading PGP key for ${cert.id}:`, error);
+        return null;
     }
+}
+
+function escapeXml(text) {
+    return String(text === null || text === undefined ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
 
-    return filtered;
+function describeChange(change) {
+    const show = value => (value === null ? '(none)' : JSON.stringify(value));
+    return `${change.field}: ${show(change.from)} → ${show(change.to)}`;
+}
+
+// Atom 1.0 (RFC 4287) feed of change records, one entry per record
+function toAtomFeed(changes) {
+    const host = new URL(SITE_URL).hostname;
+    const updated = changes.length > 0 ? `${changes[0].date}T00:00:00Z` : new Date().toISOString();
+
+    const entries = changes.map(record => {
+        const summary = record.changes.length > 0
+            ? record.changes.map(describeChange).join('\n')
+            : `${record.name} was ${record.type}`;
+
+        return `  <entry>
+    <id>tag:${host},${record.date}:${escapeXml(record.id)}/${record.type}</id>
+    <title>${escapeXml(`${record.name}: ${record.type}`)}</title>
+    <updated>${record.date}T00:00:00Z</updated>
+    <link href="${SITE_URL}/#cert/${encodeURIComponent(record.id)}"/>
+    <content type="text">${escapeXml(summary)}</content>
+  </entry>`;
+    });
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${SITE_URL}/api/changes</id>
+  <title>CERTopedia changes</title>
+  <subtitle>Added, removed and updated CERT entries</subtitle>
+  <updated>${updated}</updated>
+  <link rel="self" href="${SITE_URL}/api/changes?format=atom"/>
+  <link href="${SITE_URL}/#recent-changes"/>
+${entries.join('\n')}
+</feed>
+`;
 }
 
 function getStats(certs) {
@@ -95,10 +377,27 @@ function getStats(certs) {
         return acc;
     }, {});
 
+    const regionsCount = certs.reduce((acc, cert) => {
+        acc[cert.region] = (acc[cert.region] || 0) + 1;
+        return acc;
+    }, {});
+
     const pgpEnabled = certs.filter(cert =>
         cert.pgpKey && cert.pgpKey.available
     ).length;
 
+    const staleCount = certs.filter(cert => CERTFilters.isStale(cert, STALE_AFTER_MONTHS)).length;
+
+    const verificationCount = certs.reduce((acc, cert) => {
+        const status = CERTFilters.verificationStatus(cert);
+        acc[status] = (acc[status] || 0) + 1;
+        return acc;
+    }, Object.fromEntries(CERTFilters.VERIFICATION_STATUSES.map(status => [status, 0])));
+
+    const verificationRate = totalCerts > 0
+        ? `${Math.round((verificationCount.verified / totalCerts) * 100)}%`
+        : '0%';
+
     const lastUpdated = certs.reduce((latest, cert) => {
         const certDate = new Date(cert.lastUpdated);
         return certDate > latest ? certDate : latest;
@@ -108,19 +407,279 @@ function getStats(certs) {
         totalCerts,
         totalCountries,
         sectorsCount,
+        regionsCount,
         pgpEnabled,
         lastUpdated: lastUpdated.toISOString(),
-        verificationRate: '100%'
+        staleCount,
+        staleAfterMonths: STALE_AFTER_MONTHS,
+        verificationCount,
+        verificationRate
     };
 }
 
-exports.handler = async (event) => {
-    console.log('API Request:', JSON.stringify(event, null, 2));
+// Coverage gaps against the ISO 3166-1 list, most urgent first, with names in the given locale
+function getCoverage(certs, statuses, locale) {
+    const report = CERTCoverage.report(certs, isoCountries.countries, { staleAfterMonths: STALE_AFTER_MONTHS });
+    const rows = report.countries
+        .filter(row => statuses.length === 0 || statuses.includes(row.status))
+        .map(row => ({ ...row, country: CERTI18n.countryName({ countryCode: row.code, country: row.country }, locale) }));
+
+    return {
+        ...report,
+        standard: isoCountries.standard,
+        countries: CERTCoverage.prioritize(rows, (a, b) => CERTI18n.compare(locale, a, b))
+    };
+}
+
+function getSubmissionStore() {
+    if (!submissionStore) {
+        submissionStore = createStore();
+    }
+    return submissionStore;
+}
+
+function getRateLimitStore() {
+    if (!rateLimitStore) {
+        rateLimitStore = RateLimit.createStore();
+    }
+    return rateLimitStore;
+}
+
+// Clients are told apart by a hash of their address, which is all the queue, audit log and rate limiter keep
+function addressKey(event) {
+    const sourceIp = (event.requestContext.http && event.requestContext.http.sourceIp) || 'unknown';
+    return crypto.createHash('sha256').update(sourceIp).digest('hex').slice(0, 16);
+}
+
+/**
+ * Parse a JSON request body. Returns { body }, or { statusCode, body }
+ * with the error response when it is not JSON or too large.
+ */
+function readJsonBody(event) {
+    const headers = Object.fromEntries(
+        Object.entries(event.headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+    );
+
+    if (!/^application\/json\b/i.test(headers['content-type'] || '')) {
+        return {
+            statusCode: 415,
+            body: { error: 'Unsupported Media Type', message: 'Request bodies must be sent as application/json' }
+        };
+    }
+
+    const rawBody = event.isBase64Encoded
+        ? Buffer.from(event.body || '', 'base64').toString('utf8')
+        : (event.body || '');
+
+    if (Buffer.byteLength(rawBody) > MAX_BODY_BYTES) {
+        return {
+            statusCode: 413,
+            body: { error: 'Payload Too Large', message: `Request bodies are limited to ${MAX_BODY_BYTES} bytes` }
+        };
+    }
+
+    try {
+        return { body: JSON.parse(rawBody) };
+    } catch (error) {
+        return {
+            statusCode: 400,
+            body: { error: 'Bad Request', message: 'Request body is not valid JSON' }
+        };
+    }
+}
+
+/**
+ * Validate and queue a submission. Returns { statusCode, body }; the
+ * record is stored as pending review. Submissions made with a contributor
+ * key are attributed to it (and not rate limited, see rate-limit.js).
+ */
+async function receiveSubmission(event, certs, key) {
+    // Better refused than accepted into a queue nobody will see
+    const storageError = submissionStorageError();
+    if (storageError) {
+        console.error(`Submissions unavailable: ${storageError}`);
+        return {
+            statusCode: 503,
+            body: { error: 'Service Unavailable', message: 'Submissions are disabled until the queue is on durable storage' }
+        };
+    }
+
+    const request = readJsonBody(event);
+    if (request.statusCode) {
+        return request;
+    }
+
+    const { submission, errors } = parseSubmission(request.body, certs, readData().retiredIds);
+    if (errors.length > 0) {
+        return {
+            statusCode: 422,
+            body: {
+                error: 'Unprocessable Entity',
+                message: 'The submission does not match the CERT schema',
+                errors: errors.map(formatError)
+            }
+        };
+    }
+
+    const clientKey = addressKey(event);
+    const now = new Date();
+    const record = await getSubmissionStore().add({
+        id: newId(now),
+        status: 'pending',
+        createdAt: now.toISOString(),
+        ...submission,
+        submitter: hasRole(key, 'contributor')
+            ? { ...submission.submitter, name: submission.submitter.name || key.name, key: clientKey, apiKey: key.id }
+            : { ...submission.submitter, key: clientKey }
+    });
+
+    return {
+        statusCode: 202,
+        body: {
+            success: true,
+            message: 'Submission received and queued for review',
+            data: {
+                id: record.id,
+                type: record.type,
+                certId: record.certId,
+                status: record.status,
+                createdAt: record.createdAt
+            },
+            dataVersion
+        }
+    };
+}
+
+// Clients are their API key if they sent one, so a key is not throttled with everyone behind the same address
+async function checkRateLimit(event, apiPath, key) {
+    const client = key ? `key:${key.id}` : `ip:${addressKey(event)}`;
+
+    try {
+        return await RateLimit.checkLimit(getRateLimitStore(), client, RateLimit.ruleFor(apiPath, RATE_LIMITS), key);
+    } catch (error) {
+        // A shared store that cannot be reached must not take the API down with it
+        console.error('Rate limit check failed:', error);
+        return null;
+    }
+}
+
+// Invalid keys are counted per address, since the key they name cannot be trusted
+async function checkAuthFailures(event, failed) {
+    try {
+        return await RateLimit.checkAuthFailures(getRateLimitStore(), `ip:${addressKey(event)}`, RATE_LIMITS, failed);
+    } catch (error) {
+        console.error('Rate limit check failed:', error);
+        return null;
+    }
+}
+
+// Allowed methods per route, besides OPTIONS
+function allowedMethods(apiPath) {
+    if (apiPath === '/submissions') return ['POST'];
+    if (/^\/certs\/[^/]+$/.test(apiPath)) return ['GET', 'PUT', 'PATCH', 'DELETE'];
+    return ['GET'];
+}
+
+/**
+ * PUT, PATCH or DELETE an entry for a maintainer key. Returns
+ * { statusCode, body } and optional extra headers. Each write is recorded
+ * in the audit log, then saved to the data files and logged in changes.json.
+ */
+async function writeCert(event, id, key, queryParams) {
+    const method = event.requestContext.http.method;
+    let request = { body: null };
+
+    if (method !== 'DELETE') {
+        request = readJsonBody(event);
+        if (request.statusCode) {
+            return request;
+        }
+    }
+
+    const now = new Date();
+    const data = readData();
+    const result = method === 'PUT' ? replaceCert(data, id, request.body, now)
+        : method === 'PATCH' ? patchCert(data, id, request.body, key.name, now)
+            : retireCert(data, id, queryParams.get('reason'), now);
+
+    if (!result) {
+        const renamed = data.certs.find(cert => Array.isArray(cert.aliases) && cert.aliases.includes(id));
+        return {
+            statusCode: 404,
+            body: {
+                error: 'Not Found',
+                message: renamed
+                    ? `${id} is a former id of ${renamed.id}; write to /api/certs/${renamed.id}`
+                    : `CERT with id ${id} not found`
+            }
+        };
+    }
+
+    if (result.errors) {
+        return {
+            statusCode: 422,
+            body: {
+                error: 'Unprocessable Entity',
+                message: `The ${method} would leave certs.json invalid`,
+                errors: result.errors.map(formatError)
+            }
+        };
+    }
+
+    // Recorded before it is saved: a write the log could not take is not made
+    const records = changeRecords(data, result.data, now);
+    const action = method === 'DELETE' ? 'retire' : method === 'PATCH' ? 'update' : result.created ? 'create' : 'replace';
+    await auditLog.record({
+        key,
+        client: addressKey(event),
+        action,
+        certId: id,
+        changes: records.flatMap(record => record.changes),
+        // Added and removed entries have no field changes, so keep the whole entry
+        entry: action === 'create' || action === 'retire' ? result.cert : null,
+        reason: method === 'DELETE' ? result.retired[0].reason : null
+    }, now);
+    saveData(data, result.data, records);
+
+    // Reload so this response and the next requests see the write
+    certData = null;
+    changesData = null;
+    loadCertData();
+
+    if (method === 'DELETE') {
+        return {
+            statusCode: 200,
+            body: {
+                success: true,
+                message: `${id} removed and its ids retired`,
+                data: { id, retired: result.retired },
+                dataVersion
+            }
+        };
+    }
+
+    return {
+        statusCode: result.created ? 201 : 200,
+        headers: result.created ? { 'Location': `/api/certs/${id}` } : {},
+        body: {
+            success: true,
+            data: result.cert,
+            changes: records.flatMap(record => record.changes),
+            dataVersion
+        }
+    };
+}
+
+async function handleRequest(event) {
+    // Never the whole event: its headers carry the caller's API key
+    const http = (event.requestContext && event.requestContext.http) || {};
+    console.log(`API Request: ${http.method} ${event.rawPath} from ${http.sourceIp || 'unknown'}`);
 
     const corsHeaders = {
         'Access-Control-Allow-Origin': 'https://cert.danieloo.com',
         'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+        'Access-Control-Expose-Headers': 'RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After',
         'Access-Control-Max-Age': '86400'
     };
 
@@ -141,7 +700,11 @@ exports.handler = async (event) => {
             search: queryParams.get('search'),
             sector: queryParams.get('sector'),
             country: queryParams.get('country'),
-            pgp: queryParams.get('pgp')
+            region: queryParams.get('region'),
+            status: queryParams.get('status'),
+            pgp: queryParams.get('pgp'),
+            verified: queryParams.get('verified'),
+            stale: queryParams.get('stale')
         };
 
         // Handle preflight OPTIONS requests
@@ -156,12 +719,13 @@ exports.handler = async (event) => {
             };
         }
 
-        // Only allow GET requests
-        if (method !== 'GET') {
+        const methods = allowedMethods(apiPath);
+        if (!methods.includes(method)) {
             return {
                 statusCode: 405,
                 headers: {
                     'Content-Type': 'application/json',
+                    'Allow': [...methods, 'OPTIONS'].join(', '),
                     ...corsHeaders,
                     ...securityHeaders
                 },
@@ -172,6 +736,160 @@ exports.handler = async (event) => {
             };
         }
 
+        // An address that sent too many invalid keys is refused before the key is even looked at
+        const sentKey = Object.keys(event.headers || {}).some(name => name.toLowerCase() === 'authorization');
+        const attempts = sentKey ? await checkAuthFailures(event, false) : null;
+        if (attempts && !attempts.allowed) {
+            return {
+                statusCode: 429,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders,
+                    ...securityHeaders,
+                    ...RateLimit.rateLimitHeaders(attempts)
+                },
+                body: JSON.stringify({
+                    error: 'Too Many Requests',
+                    message: `At most ${attempts.rule.limit} invalid API keys per ${attempts.rule.window} seconds are accepted from one address; retry after ${attempts.retryAfter} seconds`
+                })
+            };
+        }
+
+        // A key is optional, but one that is sent must be valid
+        const auth = authenticate(event.headers);
+        if (auth.error) {
+            const failures = await checkAuthFailures(event, true);
+            return {
+                statusCode: 401,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'WWW-Authenticate': 'Bearer realm="CERTopedia API", error="invalid_token"',
+                    ...corsHeaders,
+                    ...securityHeaders,
+                    ...RateLimit.rateLimitHeaders(failures)
+                },
+                body: JSON.stringify({
+                    error: 'Unauthorized',
+                    message: auth.error
+                })
+            };
+        }
+
+        const limit = await checkRateLimit(event, apiPath, auth.key);
+        const limitHeaders = RateLimit.rateLimitHeaders(limit);
+        if (limit && !limit.allowed) {
+            return {
+                statusCode: 429,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders,
+                    ...securityHeaders,
+                    ...limitHeaders
+                },
+                body: JSON.stringify({
+                    error: 'Too Many Requests',
+                    message: `At most ${limit.rule.limit} requests per ${limit.rule.window} seconds are accepted for ${limit.rule.route}; retry after ${limit.retryAfter} seconds`
+                })
+            };
+        }
+
+        // Entry writes and the audit log are for maintainer keys only
+        if ((method !== 'GET' && apiPath !== '/submissions') || apiPath === '/audit') {
+            if (!hasRole(auth.key, 'maintainer')) {
+                return {
+                    statusCode: auth.key ? 403 : 401,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...(auth.key ? {} : { 'WWW-Authenticate': 'Bearer realm="CERTopedia API"' }),
+                        ...corsHeaders,
+                        ...securityHeaders,
+                        ...limitHeaders
+                    },
+                    body: JSON.stringify({
+                        error: auth.key ? 'Forbidden' : 'Unauthorized',
+                        message: auth.key
+                            ? `API key ${auth.key.id} has the ${auth.key.role} role; this needs a maintainer key`
+                            : 'This needs a maintainer API key, sent as "Authorization: Bearer <API key>"'
+                    })
+                };
+            }
+
+            // Writes are never made unaudited, nor kept where other instances cannot see them
+            const storageError = auditLog.storageError() || (apiPath === '/audit' ? null : dataStorageError());
+            if (storageError) {
+                console.error(`Maintainer route unavailable: ${storageError}`);
+                return {
+                    statusCode: 503,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders,
+                        ...securityHeaders,
+                        ...limitHeaders
+                    },
+                    body: JSON.stringify({
+                        error: 'Service Unavailable',
+                        message: apiPath === '/audit'
+                            ? 'The audit log is not configured on durable storage'
+                            : 'Entry writes are disabled until the data and the audit log are on durable storage'
+                    })
+                };
+            }
+        }
+
+        if (method !== 'GET' && apiPath !== '/submissions') {
+            const certId = decodePathSegment(apiPath.slice('/certs/'.length));
+            const result = certId === null
+                ? {
+                    statusCode: 400,
+                    body: { error: 'Bad Request', message: 'The entry id in the path is not validly percent-encoded' }
+                }
+                : await writeCert(event, certId.toLowerCase(), auth.key, queryParams);
+            return {
+                statusCode: result.statusCode,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store',
+                    ...result.headers,
+                    ...corsHeaders,
+                    ...securityHeaders,
+                    ...limitHeaders
+                },
+                body: JSON.stringify(result.body, null, 2)
+            };
+        }
+
+        // The API description does not depend on the data or the language
+        if (apiPath === '/openapi.json') {
+            return {
+                statusCode: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'public, max-age=3600',
+                    ...corsHeaders,
+                    ...securityHeaders,
+                    ...limitHeaders
+                },
+                body: JSON.stringify(OpenApi.getDocument(), null, 2)
+            };
+        }
+
+        const locale = parseLocale(queryParams);
+        if (!locale) {
+            return {
+                statusCode: 400,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders,
+                    ...securityHeaders,
+                    ...limitHeaders
+                },
+                body: JSON.stringify({
+                    error: 'Bad Request',
+                    message: `lang must be one of: ${Object.keys(CERTI18n.LOCALES).join(', ')}`
+                })
+            };
+        }
+
         // Load CERT data
         const certs = loadCertData();
 
@@ -181,7 +899,8 @@ exports.handler = async (event) => {
                 headers: {
                     'Content-Type': 'application/json',
                     ...corsHeaders,
-                    ...securityHeaders
+                    ...securityHeaders,
+                    ...limitHeaders
                 },
                 body: JSON.stringify({
                     error: 'Data Unavailable',
@@ -201,11 +920,52 @@ exports.handler = async (event) => {
         switch (apiPath) {
         case '/':
         case '/certs': {
-            const filteredCerts = filterCerts(certs, filters);
+            const { options, error } = parseListOptions(queryParams);
+
+            if (error) {
+                return {
+                    statusCode: 400,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders,
+                        ...securityHeaders,
+                        ...limitHeaders
+                    },
+                    body: JSON.stringify({
+                        error: 'Bad Request',
+                        message: error
+                    })
+                };
+            }
+
+            // Filters match the English data; only the returned entries are localized
+            const filteredCerts = filterCerts(certs, filters)
+                .map(cert => CERTI18n.localizeCert(cert, options.locale));
+
+            // File exports contain the whole filtered set rather than one page
+            if (options.format !== 'json') {
+                const file = CERTExport.exportCerts(sortCerts(filteredCerts, options.sort, options.locale), options.format);
+                return {
+                    statusCode: 200,
+                    headers: {
+                        'Content-Type': file.mimeType,
+                        'Content-Disposition': `attachment; filename="${file.filename}"`,
+                        'Cache-Control': 'public, max-age=300',
+                        ...corsHeaders,
+                        ...securityHeaders,
+                        ...limitHeaders
+                    },
+                    body: file.body
+                };
+            }
+
             response = {
                 success: true,
-                data: filteredCerts,
-                total: filteredCerts.length,
+                ...paginateCerts(filteredCerts, options, queryParams),
+                sort: options.sort,
+                fields: options.fields,
+                lang: options.locale,
+                facets: getFacets(certs, filters),
                 filters: Object.fromEntries(
                     Object.entries(filters).filter(([_, value]) => value !== null)
                 )
@@ -213,6 +973,102 @@ exports.handler = async (event) => {
             break;
         }
 
+        case '/changes': {
+            const since = queryParams.get('since');
+            const format = queryParams.get('format') || 'json';
+
+            if (since && (!/^\d{4}-\d{2}-\d{2}$/.test(since) || isNaN(new Date(since).getTime()))) {
+                return {
+                    statusCode: 400,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders,
+                        ...securityHeaders,
+                        ...limitHeaders
+                    },
+                    body: JSON.stringify({
+                        error: 'Bad Request',
+                        message: 'since must be a date in YYYY-MM-DD format'
+                    })
+                };
+            }
+
+            if (format !== 'json' && format !== 'atom') {
+                return {
+                    statusCode: 400,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders,
+                        ...securityHeaders,
+                        ...limitHeaders
+                    },
+                    body: JSON.stringify({
+                        error: 'Bad Request',
+                        message: 'format must be one of: json, atom'
+                    })
+                };
+            }
+
+            const certId = queryParams.get('id');
+            const changes = loadChanges().filter(record =>
+                (!since || record.date >= since) && (!certId || record.id === certId.toLowerCase())
+            );
+
+            if (format === 'atom') {
+                return {
+                    statusCode: 200,
+                    headers: {
+                        'Content-Type': 'application/atom+xml; charset=utf-8',
+                        'Cache-Control': 'public, max-age=300',
+                        ...corsHeaders,
+                        ...securityHeaders,
+                        ...limitHeaders
+                    },
+                    body: toAtomFeed(changes)
+                };
+            }
+
+            response = {
+                success: true,
+                data: changes,
+                count: changes.length,
+                since: since || null
+            };
+            break;
+        }
+
+        case '/submissions': {
+            const result = await receiveSubmission(event, certs, auth.key);
+            return {
+                statusCode: result.statusCode,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...result.headers,
+                    ...corsHeaders,
+                    ...securityHeaders,
+                    ...limitHeaders
+                },
+                body: JSON.stringify(result.body, null, 2)
+            };
+        }
+
+        case '/audit':
+            return {
+                statusCode: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store',
+                    ...corsHeaders,
+                    ...securityHeaders,
+                    ...limitHeaders
+                },
+                body: JSON.stringify({
+                    success: true,
+                    data: await auditLog.read({ certId: queryParams.get('id') || undefined }),
+                    dataVersion
+                }, null, 2)
+            };
+
         case '/stats':
             response = {
                 success: true,
@@ -221,10 +1077,11 @@ exports.handler = async (event) => {
             break;
 
         case '/countries': {
-            const countries = [...new Set(certs.map(cert => cert.country))]
-                .sort()
+            const countryNames = new Map(certs.map(cert => [cert.country, CERTI18n.countryName(cert, locale)]));
+            const countries = [...countryNames.keys()]
+                .sort((a, b) => CERTI18n.compare(locale, countryNames.get(a), countryNames.get(b)))
                 .map(country => ({
-                    name: country,
+                    name: countryNames.get(country),
                     count: certs.filter(cert => cert.country === country).length
                 }));
             response = {
@@ -234,6 +1091,38 @@ exports.handler = async (event) => {
             break;
         }
 
+        case '/coverage': {
+            const statuses = CERTFilters.parseList(queryParams.get('status'));
+            const unknown = statuses.filter(status => !CERTCoverage.STATUSES.includes(status));
+
+            if (unknown.length > 0) {
+                return {
+                    statusCode: 400,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders,
+                        ...securityHeaders,
+                        ...limitHeaders
+                    },
+                    body: JSON.stringify({
+                        error: 'Bad Request',
+                        message: `status must be one of: ${CERTCoverage.STATUSES.join(', ')}`
+                    })
+                };
+            }
+
+            const { countries, ...summary } = getCoverage(certs, statuses, locale);
+            response = {
+                success: true,
+                data: countries,
+                count: countries.length,
+                ...summary,
+                status: statuses,
+                lang: locale
+            };
+            break;
+        }
+
         case '/sectors': {
             const sectors = certs.reduce((acc, cert) => {
                 if (!acc[cert.sector]) {
@@ -271,13 +1160,113 @@ exports.handler = async (event) => {
             };
             break;
 
-        default:
+        default: {
+            const certMatch = apiPath.match(/^\/certs\/([^/]+)(\/pgp)?$/);
+
+            if (certMatch) {
+                const certId = decodePathSegment(certMatch[1]);
+                const subresource = certMatch[2] || '';
+
+                if (certId === null) {
+                    return {
+                        statusCode: 400,
+                        headers: {
+                            'Content-Type': 'application/json',
+                            ...corsHeaders,
+                            ...securityHeaders,
+                            ...limitHeaders
+                        },
+                        body: JSON.stringify({
+                            error: 'Bad Request',
+                            message: 'The entry id in the path is not validly percent-encoded'
+                        })
+                    };
+                }
+
+                const match = findCertById(certs, certId);
+
+                if (!match) {
+                    return {
+                        statusCode: 404,
+                        headers: {
+                            'Content-Type': 'application/json',
+                            ...corsHeaders,
+                            ...securityHeaders,
+                            ...limitHeaders
+                        },
+                        body: JSON.stringify({
+                            error: 'Not Found',
+                            message: `CERT with id ${certId} not found`
+                        })
+                    };
+                }
+
+                if (match.redirected) {
+                    return {
+                        statusCode: 301,
+                        headers: {
+                            'Content-Type': 'application/json',
+                            'Location': `/api/certs/${match.cert.id}${subresource}`,
+                            ...corsHeaders,
+                            ...securityHeaders,
+                            ...limitHeaders
+                        },
+                        body: JSON.stringify({
+                            success: true,
+                            redirect: `/api/certs/${match.cert.id}${subresource}`,
+                            message: `CERT id ${certId} has been renamed to ${match.cert.id}`,
+                            dataVersion
+                        })
+                    };
+                }
+
+                if (subresource === '/pgp') {
+                    const armoredKey = loadPgpKey(match.cert);
+
+                    if (!armoredKey) {
+                        return {
+                            statusCode: 404,
+                            headers: {
+                                'Content-Type': 'application/json',
+                                ...corsHeaders,
+                                ...securityHeaders,
+                                ...limitHeaders
+                            },
+                            body: JSON.stringify({
+                                error: 'Not Found',
+                                message: `No PGP key on file for ${match.cert.id}`
+                            })
+                        };
+                    }
+
+                    return {
+                        statusCode: 200,
+                        headers: {
+                            'Content-Type': 'application/pgp-keys',
+                            'Content-Disposition': `attachment; filename="${match.cert.id}.asc"`,
+                            'Cache-Control': 'public, max-age=3600',
+                            ...corsHeaders,
+                            ...securityHeaders,
+                            ...limitHeaders
+                        },
+                        body: armoredKey
+                    };
+                }
+
+                response = {
+                    success: true,
+                    data: CERTI18n.localizeCert(match.cert, locale)
+                };
+                break;
+            }
+
             return {
                 statusCode: 404,
                 headers: {
                     'Content-Type': 'application/json',
                     ...corsHeaders,
-                    ...securityHeaders
+                    ...securityHeaders,
+                    ...limitHeaders
                 },
                 body: JSON.stringify({
                     error: 'Not Found',
@@ -285,16 +1274,19 @@ exports.handler = async (event) => {
                 })
             };
         }
+        }
 
         return {
             statusCode: 200,
             headers: {
                 'Content-Type': 'application/json',
-                'Cache-Control': apiPath === '/health' ? 'no-cache' : 'public, max-age=300',
+                'Cache-Control': apiPath === '/health' ? 'no-store' : 'public, max-age=300',
+                'Content-Language': locale,
                 ...corsHeaders,
-                ...securityHeaders
+                ...securityHeaders,
+                ...limitHeaders
             },
-            body: JSON.stringify(response, null, 2)
+            body: JSON.stringify({ ...response, dataVersion }, null, 2)
         };
 
     } catch (error) {
@@ -314,4 +1306,39 @@ exports.handler = async (event) => {
             })
         };
     }
+}
+
+// Error envelopes name the data version too, loading the data if the request failed before it was needed
+function withDataVersion(response) {
+    let body;
+    try {
+        body = JSON.parse(response.body);
+    } catch (error) {
+        return response;
+    }
+
+    if (!body || typeof body.error !== 'string') {
+        return response;
+    }
+
+    loadCertData();
+    return { ...response, body: JSON.stringify({ ...body, dataVersion }, null, 2) };
+}
+
+// Successful reads can be revalidated with If-None-Match
+exports.handler = async (event) => {
+    const response = await handleRequest(event);
+    const cacheControl = (response.headers && response.headers['Cache-Control']) || '';
+
+    if (response.statusCode >= 400) {
+        return withDataVersion(response);
+    }
+
+    if (event.requestContext.http.method !== 'GET' || response.statusCode !== 200 || cacheControl.includes('no-store')) {
+        return response;
+    }
+
+    // Last-Modified comes from the data, so every instance agrees; the API description only has its ETag
+    const describesApi = event.rawPath.replace('/api', '') === '/openapi.json';
+    return HttpCache.conditional(event.headers, response, describesApi || !dataVersion ? null : dataVersion.timestamp);
 };
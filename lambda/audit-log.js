@@ -0,0 +1,51 @@
+// Append-only record of every write made through the API.
+//
+// One JSON object per line in AUDIT_LOG_FILE: { at, key: { id, name, role },
+// client, action, certId, changes, entry, reason }, where changes are the
+// field-level changes from cert-diff.js and entry is the whole entry when
+// one is created or retired. Lines are never rewritten, so the file can be
+// shipped to a log store as it grows. Writes are recorded before they are
+// saved, and refused (see storage.js) while the log cannot be kept.
+
+const fs = require('fs');
+const path = require('path');
+const storage = require('./storage');
+
+// Outside data/, which is published with the site
+const DEFAULT_LOG_FILE = path.join(__dirname, '../.audit-log.jsonl');
+
+function logFile() {
+    return process.env.AUDIT_LOG_FILE || DEFAULT_LOG_FILE;
+}
+
+// Why the log cannot be kept where it is configured, or null
+function storageError() {
+    return storage.storageError('AUDIT_LOG_FILE', logFile());
+}
+
+async function record(entry, now = new Date()) {
+    const line = { at: now.toISOString(), ...entry };
+
+    await fs.promises.mkdir(path.dirname(logFile()), { recursive: true });
+    await fs.promises.appendFile(logFile(), JSON.stringify(line) + '\n');
+
+    return line;
+}
+
+// Entries oldest first, optionally only those for one entry
+async function read({ certId } = {}) {
+    let text;
+    try {
+        text = await fs.promises.readFile(logFile(), 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    return text.split('\n')
+        .filter(Boolean)
+        .map(line => JSON.parse(line))
+        .filter(entry => !certId || entry.certId === certId);
+}
+
+module.exports = { logFile, storageError, record, read };
@@ -0,0 +1,112 @@
+// API keys for the write endpoints.
+//
+// Clients send "Authorization: Bearer <key>". Only a SHA-256 hash of each
+// key is kept, in API_KEYS_FILE (a JSON array of { id, name, role, hash,
+// createdAt, revokedAt }), managed with scripts/manage-api-keys.js. Each
+// role in ROLES includes the ones before it: readers are identified,
+// contributors' submissions are attributed to them, and maintainers may
+// change entries through PUT, PATCH and DELETE /api/certs/{id}.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROLES = ['reader', 'contributor', 'maintainer'];
+
+// Recognizable in logs and secret scanners
+const KEY_PREFIX = 'cpk_';
+
+// Outside data/, which is published with the site
+const DEFAULT_KEYS_FILE = path.join(__dirname, '../.api-keys.json');
+
+function keysFile() {
+    return process.env.API_KEYS_FILE || DEFAULT_KEYS_FILE;
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateKey() {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    return {
+        key,
+        record: { id: `key_${crypto.randomBytes(4).toString('hex')}`, hash: hashKey(key) }
+    };
+}
+
+function loadKeys(file = keysFile()) {
+    try {
+        const keys = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!Array.isArray(keys)) {
+            throw new Error(`${file} must be an array`);
+        }
+        return keys;
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+function saveKeys(keys, file = keysFile()) {
+    fs.writeFileSync(file, JSON.stringify(keys, null, 2) + '\n', { mode: 0o600 });
+}
+
+// Compare every stored hash in constant time, so timing reveals nothing about near misses
+function findKey(keys, key) {
+    const hash = Buffer.from(hashKey(key), 'hex');
+    let found = null;
+
+    keys.forEach(record => {
+        const stored = Buffer.from(String(record.hash), 'hex');
+        if (stored.length === hash.length && crypto.timingSafeEqual(stored, hash) && !record.revokedAt) {
+            found = record;
+        }
+    });
+
+    return found;
+}
+
+/**
+ * Identify the caller from the request headers.
+ *
+ * Returns { key: null } without an Authorization header, { key } with the
+ * matching record ({ id, name, role }, never the hash), or { error } when a
+ * key was sent but is malformed, unknown or revoked.
+ */
+function authenticate(headers = {}, keys = loadKeys()) {
+    const header = Object.entries(headers)
+        .find(([name]) => name.toLowerCase() === 'authorization');
+
+    if (!header) {
+        return { key: null };
+    }
+
+    const match = /^Bearer\s+(\S+)$/i.exec(header[1] || '');
+    if (!match) {
+        return { error: 'Authorization must be "Bearer <API key>"' };
+    }
+
+    const record = findKey(keys, match[1]);
+    if (!record || !ROLES.includes(record.role)) {
+        return { error: 'Invalid or revoked API key' };
+    }
+
+    return { key: { id: record.id, name: record.name, role: record.role } };
+}
+
+function hasRole(key, role) {
+    return Boolean(key) && ROLES.indexOf(key.role) >= ROLES.indexOf(role);
+}
+
+module.exports = {
+    ROLES,
+    KEY_PREFIX,
+    keysFile,
+    hashKey,
+    generateKey,
+    loadKeys,
+    saveKeys,
+    authenticate,
+    hasRole
+};
@@ -0,0 +1,82 @@
+// Field-level comparison of two versions of certs.json, shared by
+// scripts/diff-certs.js and the maintainer writes in lambda/cert-writes.js.
+
+// Machine-written fields that would otherwise flood the changelog
+const IGNORED_FIELDS = ['securityTxt'];
+
+// Flatten nested objects to dotted paths; arrays and scalars are compared whole
+function flatten(value, prefix = '', out = {}) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        Object.keys(value).forEach(key => flatten(value[key], prefix ? `${prefix}.${key}` : key, out));
+    } else if (prefix) {
+        out[prefix] = value;
+    }
+    return out;
+}
+
+function diffFields(before, after) {
+    const strip = cert => Object.fromEntries(Object.entries(cert).filter(([key]) => !IGNORED_FIELDS.includes(key)));
+    const oldFields = flatten(strip(before));
+    const newFields = flatten(strip(after));
+    const fields = [...new Set([...Object.keys(oldFields), ...Object.keys(newFields)])];
+
+    return fields
+        .filter(field => JSON.stringify(oldFields[field]) !== JSON.stringify(newFields[field]))
+        .map(field => ({
+            field,
+            from: oldFields[field] === undefined ? null : oldFields[field],
+            to: newFields[field] === undefined ? null : newFields[field]
+        }));
+}
+
+/**
+ * Compare two arrays of entries by id.
+ *
+ * Returns [{ date, id, name, type, changes }] where type is added,
+ * removed, renamed (the old id is now an alias) or changed.
+ */
+function diffCerts(before, after, date) {
+    const records = [];
+    const oldById = new Map(before.map(cert => [cert.id, cert]));
+    const newById = new Map(after.map(cert => [cert.id, cert]));
+    const renamedFrom = new Map();
+
+    after.forEach(cert => {
+        (cert.aliases || []).forEach(alias => {
+            if (oldById.has(alias) && !newById.has(alias) && !oldById.has(cert.id)) {
+                renamedFrom.set(cert.id, alias);
+            }
+        });
+    });
+
+    after.forEach(cert => {
+        const previousId = renamedFrom.get(cert.id);
+        const previous = oldById.get(previousId || cert.id);
+
+        if (!previous) {
+            records.push({ date, id: cert.id, name: cert.name, type: 'added', changes: [] });
+            return;
+        }
+
+        const changes = diffFields(previous, cert);
+        if (previousId) {
+            records.push({ date, id: cert.id, name: cert.name, type: 'renamed', changes });
+        } else if (changes.length > 0) {
+            records.push({ date, id: cert.id, name: cert.name, type: 'changed', changes });
+        }
+    });
+
+    const renamedIds = new Set(renamedFrom.values());
+    before
+        .filter(cert => !newById.has(cert.id) && !renamedIds.has(cert.id))
+        .forEach(cert => records.push({ date, id: cert.id, name: cert.name, type: 'removed', changes: [] }));
+
+    return records;
+}
+
+function describe(change) {
+    const show = value => (value === null ? '∅' : JSON.stringify(value));
+    return `${change.field}: ${show(change.from)} → ${show(change.to)}`;
+}
+
+module.exports = { IGNORED_FIELDS, diffCerts, describe };
@@ -0,0 +1,222 @@
+// Maintainer changes to data/certs.json through PUT, PATCH and
+// DELETE /api/certs/{id}.
+//
+// replaceCert, patchCert and retireCert take the files as read by
+// readData() and return { data, cert } with the updated files, or
+// { errors } in the schema validator's { pointer, message } form pointing
+// into the request, or null when there is no entry to change.
+// changeRecords() gives the changelog records for a result, and saveData()
+// writes it back to DATA_DIR and prepends the records to changes.json, so
+// /api/changes and the feed show API writes like any other.
+
+const fs = require('fs');
+const path = require('path');
+const storage = require('./storage');
+const { validate } = require('./schema-validator');
+const { retiredIdMessage, validateCert, validateChangePaths, applyChanges, insertByCountry } = require('./submissions');
+const { diffCerts } = require('./cert-diff');
+const certSchema = require('../data/cert.schema.json');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+
+// Kept in step with the write itself
+const MANAGED_FIELDS = ['id', 'lastUpdated'];
+
+function today(now = new Date()) {
+    return now.toISOString().slice(0, 10);
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readJson(file, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT' && fallback !== undefined) return fallback;
+        throw error;
+    }
+}
+
+function writeJson(file, value) {
+    fs.writeFileSync(file, JSON.stringify(value, null, 2) + '\n');
+}
+
+// The files as stored, without the contact ordering the API applies when serving
+function readData(dir = DATA_DIR) {
+    return {
+        certs: readJson(path.join(dir, 'certs.json')),
+        retiredIds: readJson(path.join(dir, 'retired-ids.json'), []),
+        changes: readJson(path.join(dir, 'changes.json'), [])
+    };
+}
+
+// Why writes cannot be saved to DATA_DIR, or null
+function storageError(dir = DATA_DIR) {
+    return storage.storageError('DATA_DIR', dir);
+}
+
+// The changelog records for the difference between before and after
+function changeRecords(before, after, now = new Date()) {
+    return diffCerts(before.certs, after.certs, today(now));
+}
+
+/**
+ * Write certs.json and retired-ids.json and prepend the changelog records
+ * from changeRecords() to changes.json.
+ */
+function saveData(before, after, records, dir = DATA_DIR) {
+    writeJson(path.join(dir, 'certs.json'), after.certs);
+    if (after.retiredIds !== before.retiredIds) {
+        writeJson(path.join(dir, 'retired-ids.json'), after.retiredIds);
+    }
+    writeJson(path.join(dir, 'changes.json'), [...records, ...before.changes]);
+}
+
+// IDs and aliases share one namespace with each other and with retired IDs, as in validate-json.js
+function validateIdentifiers(data, cert, pointerPrefix) {
+    const others = data.certs.filter(entry => entry.id !== cert.id);
+    const claimed = [cert.id, ...(Array.isArray(cert.aliases) ? cert.aliases : [])];
+    const errors = [];
+
+    claimed.forEach((id, index) => {
+        const pointer = index === 0 ? `${pointerPrefix}/id` : `${pointerPrefix}/aliases/${index - 1}`;
+        const owner = others.find(entry => entry.id === id || (Array.isArray(entry.aliases) && entry.aliases.includes(id)));
+        const retired = retiredIdMessage(data.retiredIds, id);
+
+        if (owner) {
+            errors.push({ pointer, message: `"${id}" is already used by ${owner.id}` });
+        } else if (retired) {
+            errors.push({ pointer, message: retired });
+        }
+    });
+
+    return errors;
+}
+
+function checkWrite(data, certs, cert, pointerPrefix) {
+    const errors = [...validateCert(cert, pointerPrefix), ...validateIdentifiers(data, cert, pointerPrefix)];
+
+    // The entry is valid on its own; anything left is about the file as a whole
+    return errors.length > 0 ? errors : validate(certSchema, certs);
+}
+
+// Within its country an entry keeps its place; a new country moves it to the end of that country
+function placeCert(certs, existing, cert) {
+    if (!existing) {
+        return insertByCountry(certs, cert);
+    }
+
+    return existing.country === cert.country
+        ? certs.map(entry => (entry === existing ? cert : entry))
+        : insertByCountry(certs.filter(entry => entry !== existing), cert);
+}
+
+/**
+ * PUT: create the entry with this id or replace it entirely. The body is
+ * a complete entry; its id may be left out but must otherwise match.
+ * Returns { data, cert, created }.
+ */
+function replaceCert(data, id, body, now = new Date()) {
+    if (!isPlainObject(body)) {
+        return { errors: [{ pointer: '', message: 'must be a JSON object' }] };
+    }
+
+    if (body.id !== undefined && body.id !== id) {
+        return { errors: [{ pointer: '/id', message: `must be "${id}" as in the URL, or left out` }] };
+    }
+
+    const existing = data.certs.find(entry => entry.id === id) || null;
+    const cert = { id, ...body, lastUpdated: today(now) };
+    const certs = placeCert(data.certs, existing, cert);
+    const errors = checkWrite(data, certs, cert, '');
+
+    return errors.length > 0 ? { errors } : { data: { ...data, certs }, cert, created: !existing };
+}
+
+/**
+ * PATCH: change fields of an existing entry. The body is { changes,
+ * source }, with changes as in a correction submission (dotted paths,
+ * null removes a field). When a source is given the entry is marked
+ * verified by the key's owner against it. Returns { data, cert }.
+ */
+function patchCert(data, id, body, by, now = new Date()) {
+    const existing = data.certs.find(entry => entry.id === id);
+    if (!existing) {
+        return null;
+    }
+
+    if (!isPlainObject(body) || !isPlainObject(body.changes) || Object.keys(body.changes).length === 0) {
+        return { errors: [{ pointer: '/changes', message: 'must be an object with at least one field' }] };
+    }
+
+    const errors = [
+        ...validateChangePaths(body.changes, MANAGED_FIELDS, 'is managed by the API and cannot be changed'),
+        ...(body.source === undefined
+            ? []
+            : validate(certSchema, body.source, '#/$defs/verification/properties/sources/items')
+                .map(error => ({ ...error, pointer: `/source${error.pointer}` })))
+    ];
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    const date = today(now);
+    const cert = { ...applyChanges(existing, body.changes), lastUpdated: date };
+
+    if (body.source) {
+        const previousSources = (cert.verification && cert.verification.sources) || [];
+        cert.verification = {
+            status: 'verified',
+            verifiedBy: by,
+            verifiedAt: date,
+            sources: [body.source, ...previousSources.filter(item => item.url !== body.source.url)]
+        };
+    }
+
+    const certs = placeCert(data.certs, existing, cert);
+    const writeErrors = checkWrite(data, certs, cert, '/changes');
+
+    return writeErrors.length > 0 ? { errors: writeErrors } : { data: { ...data, certs }, cert };
+}
+
+/**
+ * DELETE: remove an entry and retire its id and aliases for good.
+ * Returns { data, cert, retired } with the new retired-ids.json records.
+ */
+function retireCert(data, id, reason, now = new Date()) {
+    const existing = data.certs.find(entry => entry.id === id);
+    if (!existing) {
+        return null;
+    }
+
+    if (typeof reason !== 'string' || !reason.trim()) {
+        return { errors: [{ pointer: '/reason', message: 'must be given as ?reason= and say why the entry is removed' }] };
+    }
+
+    const retiredOn = today(now);
+    const retired = [existing.id, ...(existing.aliases || [])]
+        .map(retiredId => ({ id: retiredId, retiredOn, reason: reason.trim() }));
+
+    return {
+        data: {
+            ...data,
+            certs: data.certs.filter(entry => entry !== existing),
+            retiredIds: [...data.retiredIds, ...retired]
+        },
+        cert: existing,
+        retired
+    };
+}
+
+module.exports = {
+    DATA_DIR,
+    storageError,
+    readData,
+    changeRecords,
+    saveData,
+    replaceCert,
+    patchCert,
+    retireCert
+};
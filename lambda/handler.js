@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const { etagFor, conditional } = require('./http-cache');
 
 // Cache static files in memory
 const cache = new Map();
@@ -11,6 +12,7 @@ const mimeTypes = {
     '.css': 'text/css',
     '.js': 'application/javascript',
     '.json': 'application/json',
+    '.asc': 'application/pgp-keys',
     '.png': 'image/png',
     '.jpg': 'image/jpeg',
     '.jpeg': 'image/jpeg',
@@ -38,52 +40,53 @@ function getContentType(filePath) {
     return mimeTypes[ext] || 'application/octet-stream';
 }
 
+// Returns { content, etag } or null
 function getCachedFile(filePath) {
     const now = Date.now();
     const cached = cache.get(filePath);
 
     if (cached && now - cached.timestamp < CACHE_TTL) {
-        return cached.content;
+        return cached;
     }
 
     try {
         const fullPath = path.join(__dirname, '..', filePath);
         const content = fs.readFileSync(fullPath);
 
-        cache.set(filePath, {
-            content,
-            timestamp: now
-        });
+        // Only an ETag: deployment packages can give every file the same fixed
+        // mtime, and a date per instance would differ between instances
+        const entry = { content, etag: etagFor(content), timestamp: now };
+        cache.set(filePath, entry);
 
-        return content;
+        return entry;
     } catch (error) {
         console.error(`Error reading file ${filePath}:`, error);
         return null;
     }
 }
 
-function handleStaticFile(requestedPath) {
+function handleStaticFile(requestedPath, requestHeaders) {
     let filePath = requestedPath === '/' ? '/index.html' : requestedPath;
 
     // Remove leading slash and resolve to dist directory
     filePath = filePath.startsWith('/') ? filePath.slice(1) : filePath;
     filePath = path.join('dist', filePath);
 
-    const content = getCachedFile(filePath);
+    const file = getCachedFile(filePath);
 
-    if (!content) {
+    if (!file) {
     // Try index.html for SPA routing
-        const indexContent = getCachedFile('dist/index.html');
-        if (indexContent) {
-            return {
+        const index = getCachedFile('dist/index.html');
+        if (index) {
+            return conditional(requestHeaders, {
                 statusCode: 200,
                 headers: {
                     'Content-Type': 'text/html',
                     ...securityHeaders,
                     'Cache-Control': 'no-cache, no-store, must-revalidate'
                 },
-                body: indexContent.toString()
-            };
+                body: index.content.toString()
+            }, null, index.etag);
         }
 
         return {
@@ -99,26 +102,27 @@ function handleStaticFile(requestedPath) {
     const contentType = getContentType(filePath);
     const isText = contentType.startsWith('text/') ||
                 contentType.includes('javascript') ||
-                contentType.includes('json');
+                contentType.includes('json') ||
+                contentType === 'application/pgp-keys';
 
     // Set appropriate cache headers
     let cacheControl = 'public, max-age=31536000, immutable'; // 1 year for assets
     if (contentType === 'text/html') {
         cacheControl = 'no-cache, no-store, must-revalidate';
-    } else if (contentType === 'application/json') {
-        cacheControl = 'public, max-age=3600'; // 1 hour for JSON data
+    } else if (contentType === 'application/json' || contentType === 'application/pgp-keys') {
+        cacheControl = 'public, max-age=3600'; // 1 hour for JSON data and PGP keys
     }
 
-    return {
+    return conditional(requestHeaders, {
         statusCode: 200,
         headers: {
             'Content-Type': contentType,
             'Cache-Control': cacheControl,
             ...securityHeaders
         },
-        body: isText ? content.toString() : content.toString('base64'),
+        body: isText ? file.content.toString() : file.content.toString('base64'),
         isBase64Encoded: !isText
-    };
+    }, null, file.etag);
 }
 
 exports.handler = async (event) => {
@@ -151,7 +155,7 @@ exports.handler = async (event) => {
 
         // Handle GET requests for static files
         if (method === 'GET') {
-            const response = handleStaticFile(path);
+            const response = handleStaticFile(path, event.headers);
             response.headers = {
                 ...response.headers,
                 ...corsHeaders
@@ -0,0 +1,73 @@
+// Validators and conditional GET (RFC 9110) shared by lambda/handler.js and
+// lambda/api.js. Responses get a content-hash ETag and a Last-Modified
+// date; a request whose If-None-Match still matches gets an empty 304
+// instead of the body. Last-Modified is a date without a time of day, so
+// two changes on one day share it: If-Modified-Since is only answered for
+// a response without an ETag, never to hide a same-day change.
+
+const crypto = require('crypto');
+
+function contentHash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Strong validator: the same bytes always give the same tag, on every instance
+function etagFor(content) {
+    return `"${contentHash(content).slice(0, 32)}"`;
+}
+
+function headerValue(headers, name) {
+    const header = Object.entries(headers || {}).find(([key]) => key.toLowerCase() === name);
+    return header ? header[1] : undefined;
+}
+
+// If-None-Match uses the weak comparison, so W/"…" from an intermediary still matches
+function matchesEtag(ifNoneMatch, etag) {
+    return ifNoneMatch.split(',')
+        .map(tag => tag.trim())
+        .some(tag => tag === '*' || tag.replace(/^W\//, '') === etag);
+}
+
+function isNotModified(requestHeaders, etag, lastModified) {
+    if (etag) {
+        const ifNoneMatch = headerValue(requestHeaders, 'if-none-match');
+        return Boolean(ifNoneMatch) && matchesEtag(ifNoneMatch, etag);
+    }
+
+    const ifModifiedSince = Date.parse(headerValue(requestHeaders, 'if-modified-since') || '');
+    if (!lastModified || isNaN(ifModifiedSince)) {
+        return false;
+    }
+
+    // HTTP dates have whole seconds
+    return Math.floor(new Date(lastModified).getTime() / 1000) <= Math.floor(ifModifiedSince / 1000);
+}
+
+/**
+ * Add ETag and Last-Modified (when given) to a 200 response, and answer
+ * 304 Not Modified instead when the request's validators still match.
+ * The ETag is computed from the body unless one is passed in.
+ */
+function conditional(requestHeaders, response, lastModified, etag = etagFor(
+    response.isBase64Encoded ? Buffer.from(response.body, 'base64') : response.body
+)) {
+    const headers = {
+        ...response.headers,
+        'ETag': etag,
+        ...(lastModified ? { 'Last-Modified': new Date(lastModified).toUTCString() } : {})
+    };
+
+    if (!isNotModified(requestHeaders, etag, lastModified)) {
+        return { ...response, headers };
+    }
+
+    // A 304 carries the headers the 200 would have, except those describing the body
+    return {
+        statusCode: 304,
+        headers: Object.fromEntries(Object.entries(headers)
+            .filter(([name]) => !['content-type', 'content-disposition', 'content-length'].includes(name.toLowerCase()))),
+        body: ''
+    };
+}
+
+module.exports = { contentHash, etagFor, headerValue, isNotModified, conditional };
@@ -0,0 +1,17 @@
+// The OpenAPI document served at /api/openapi.json: data/openapi.json
+// with data/cert.schema.json bundled in (see assets/js/openapi.js).
+
+const CERTOpenApi = require('../assets/js/openapi');
+const apiSpec = require('../data/openapi.json');
+const certSchema = require('../data/cert.schema.json');
+
+let bundled = null;
+
+function getDocument() {
+    if (!bundled) {
+        bundled = CERTOpenApi.bundle(apiSpec, certSchema);
+    }
+    return bundled;
+}
+
+module.exports = { getDocument };
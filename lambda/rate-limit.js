@@ -0,0 +1,220 @@
+// Per-client rate limiting for the API.
+//
+// Each client (an API key, or a hash of the source address without one)
+// gets a token bucket per route: it holds up to `limit` requests and refills
+// at `limit` per `window` seconds, so short bursts are fine but sustained
+// traffic is capped. LIMITS sets the rule per route template, overridable
+// with RATE_LIMITS (JSON in the same shape, e.g. {"/certs": {"limit": 30}});
+// a rule may exempt keys of a role and above with `exemptRole`.
+//
+// Failed authentications have a bucket of their own per address
+// (AUTH_FAILURES). It is checked before a key is looked at and only drained
+// by failures, so keys cannot be guessed at the rate a route allows.
+//
+// Buckets live in the store named by RATE_LIMIT_STORE. "memory" (the
+// default) only limits within one process, which suits tests and
+// development; "dynamodb" shares buckets between Lambda instances through
+// RATE_LIMIT_TABLE. A store has one async method, take(key, rule, now,
+// cost), returning the result of takeToken(); another backend only has to
+// provide it and be added to STORES.
+
+const { hasRole } = require('./auth');
+
+const AUTH_FAILURES = 'auth-failures';
+
+const LIMITS = {
+    default: { limit: 120, window: 60 },
+    // Not a route: invalid keys sent from one address, whatever the route
+    [AUTH_FAILURES]: { limit: 10, window: 900 },
+    // Search and export run over the whole directory on every request
+    '/certs': { limit: 60, window: 60 },
+    '/submissions': { limit: Number(process.env.SUBMISSIONS_PER_HOUR) || 5, window: 3600, exemptRole: 'contributor' }
+};
+
+// Concrete paths to the templates used as LIMITS keys
+function routeFor(apiPath) {
+    return apiPath
+        .replace(/^\/certs\/[^/]+/, '/certs/{id}')
+        .replace(/^\/$/, '/certs');
+}
+
+function loadLimits(overrides = process.env.RATE_LIMITS) {
+    if (!overrides) {
+        return LIMITS;
+    }
+
+    try {
+        const parsed = JSON.parse(overrides);
+        return Object.fromEntries(
+            [...new Set([...Object.keys(LIMITS), ...Object.keys(parsed)])]
+                .map(route => [route, { ...LIMITS.default, ...LIMITS[route], ...parsed[route] }])
+        );
+    } catch (error) {
+        console.error('Ignoring RATE_LIMITS, which is not valid JSON:', error.message);
+        return LIMITS;
+    }
+}
+
+function ruleFor(apiPath, limits = LIMITS) {
+    const route = routeFor(apiPath);
+    return { route, ...(limits[route] || limits.default) };
+}
+
+/**
+ * Take cost tokens (one by default) from a bucket ({ tokens, updatedAt } or
+ * null for a new client) at time now (ms); a cost of 0 only checks that a
+ * token is left. Returns { allowed, bucket, remaining, reset, retryAfter }:
+ * the bucket to store, the whole requests left, the seconds until it is
+ * full again and, when refused, until the next token.
+ */
+function takeToken(bucket, rule, now, cost = 1) {
+    const ratePerMs = rule.limit / (rule.window * 1000);
+    const elapsed = bucket ? Math.max(now - bucket.updatedAt, 0) : 0;
+    const available = bucket ? Math.min(rule.limit, bucket.tokens + elapsed * ratePerMs) : rule.limit;
+    const allowed = available >= Math.max(cost, 1);
+    const tokens = allowed ? available - cost : available;
+
+    return {
+        allowed,
+        bucket: { tokens, updatedAt: now },
+        remaining: Math.floor(tokens),
+        reset: Math.ceil((rule.limit - tokens) / ratePerMs / 1000),
+        retryAfter: allowed ? 0 : Math.max(Math.ceil((1 - tokens) / ratePerMs / 1000), 1)
+    };
+}
+
+// Buckets that have refilled are dropped once there are this many
+const MAX_MEMORY_BUCKETS = 10000;
+
+function createMemoryStore() {
+    const buckets = new Map();
+
+    return {
+        async take(key, rule, now, cost = 1) {
+            if (buckets.size >= MAX_MEMORY_BUCKETS) {
+                buckets.forEach((bucket, bucketKey) => {
+                    if (bucket.expiresAt <= now) buckets.delete(bucketKey);
+                });
+            }
+
+            const result = takeToken(buckets.get(key) || null, rule, now, cost);
+            buckets.set(key, { ...result.bucket, expiresAt: now + rule.window * 1000 });
+            return result;
+        }
+    };
+}
+
+// One item per bucket, written only if nobody else updated it since it was read
+function createDynamoStore({ table = process.env.RATE_LIMIT_TABLE, attempts = 3 } = {}) {
+    if (!table) {
+        throw new Error('The dynamodb rate limit store needs RATE_LIMIT_TABLE');
+    }
+
+    // Bundled with the Lambda runtime; only needed when this store is chosen
+    const { DynamoDBClient, GetItemCommand, PutItemCommand } = require('@aws-sdk/client-dynamodb');
+    const client = new DynamoDBClient({});
+
+    return {
+        async take(key, rule, now, cost = 1) {
+            for (let attempt = 1; ; attempt++) {
+                const { Item } = await client.send(new GetItemCommand({
+                    TableName: table,
+                    Key: { key: { S: key } },
+                    ConsistentRead: true
+                }));
+                const bucket = Item ? { tokens: Number(Item.tokens.N), updatedAt: Number(Item.updatedAt.N) } : null;
+                const result = takeToken(bucket, rule, now, cost);
+
+                // A check takes nothing, so there is nothing to write
+                if (cost === 0) {
+                    return result;
+                }
+
+                try {
+                    await client.send(new PutItemCommand({
+                        TableName: table,
+                        Item: {
+                            key: { S: key },
+                            tokens: { N: String(result.bucket.tokens) },
+                            updatedAt: { N: String(now) },
+                            // DynamoDB TTL removes buckets that have refilled anyway
+                            expiresAt: { N: String(Math.ceil(now / 1000) + rule.window) }
+                        },
+                        ConditionExpression: bucket ? 'updatedAt = :previous' : 'attribute_not_exists(#key)',
+                        ...(bucket
+                            ? { ExpressionAttributeValues: { ':previous': Item.updatedAt } }
+                            : { ExpressionAttributeNames: { '#key': 'key' } })
+                    }));
+                    return result;
+                } catch (error) {
+                    if (error.name !== 'ConditionalCheckFailedException' || attempt >= attempts) throw error;
+                }
+            }
+        }
+    };
+}
+
+const STORES = {
+    memory: createMemoryStore,
+    dynamodb: createDynamoStore
+};
+
+function createStore(name = process.env.RATE_LIMIT_STORE || 'memory', options = {}) {
+    if (!STORES[name]) {
+        throw new Error(`Unknown rate limit store "${name}"; expected one of: ${Object.keys(STORES).join(', ')}`);
+    }
+
+    return STORES[name](options);
+}
+
+/**
+ * Count a request from client (e.g. "key:key_ab12cd34" or "ip:<hash>")
+ * against rule, as returned by ruleFor(). Returns null when the rule
+ * exempts the caller's key, otherwise the takeToken() result and the rule.
+ */
+async function checkLimit(store, client, rule, key, now = Date.now()) {
+    if (rule.exemptRole && hasRole(key, rule.exemptRole)) {
+        return null;
+    }
+
+    return { rule, ...(await store.take(`${rule.route}|${client}`, rule, now)) };
+}
+
+/**
+ * The AUTH_FAILURES bucket of a client: checked only, or with failed set
+ * after a key was refused, a token taken. Refused once the client has
+ * used up its attempts, whether or not the key it sends now is valid.
+ */
+async function checkAuthFailures(store, client, limits = LIMITS, failed = false, now = Date.now()) {
+    const rule = { route: AUTH_FAILURES, ...(limits[AUTH_FAILURES] || LIMITS[AUTH_FAILURES]) };
+    return { rule, ...(await store.take(`${AUTH_FAILURES}|${client}`, rule, now, failed ? 1 : 0)) };
+}
+
+// RateLimit-* fields from the IETF draft, plus Retry-After when refused
+function rateLimitHeaders(result) {
+    if (!result) {
+        return {};
+    }
+
+    return {
+        'RateLimit-Policy': `${result.rule.limit};w=${result.rule.window}`,
+        'RateLimit-Limit': String(result.rule.limit),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': String(result.reset),
+        ...(result.allowed ? {} : { 'Retry-After': String(result.retryAfter) })
+    };
+}
+
+module.exports = {
+    AUTH_FAILURES,
+    LIMITS,
+    STORES,
+    routeFor,
+    loadLimits,
+    ruleFor,
+    takeToken,
+    createStore,
+    checkLimit,
+    checkAuthFailures,
+    rateLimitHeaders
+};
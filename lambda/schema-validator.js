@@ -0,0 +1,200 @@
+// Minimal JSON Schema (draft 2020-12) validator for data/cert.schema.json.
+//
+// Supports the keywords the CERT schema uses: type, enum, const, required,
+// properties, additionalProperties, items, minItems, uniqueItems,
+// minLength, maxLength, pattern, format (date, email, uri), local $ref,
+// allOf, anyOf, oneOf, not and if/then/else. Unknown keywords are ignored.
+// Errors are { pointer, message } with an RFC 6901 JSON pointer to the
+// offending value, e.g. "/4/pgpKey/keyId".
+
+const TYPE_NAMES = {
+    string: 'a string',
+    number: 'a number',
+    integer: 'an integer',
+    boolean: 'a boolean',
+    object: 'an object',
+    array: 'an array',
+    null: 'null'
+};
+
+const FORMATS = {
+    date: {
+        test: value => /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+            new Date(`${value}T00:00:00Z`).toISOString().startsWith(value),
+        message: 'must be a date (YYYY-MM-DD)'
+    },
+    email: {
+        test: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+        message: 'must be an email address'
+    },
+    uri: {
+        test: value => {
+            try {
+                return Boolean(new URL(value).protocol);
+            } catch (error) {
+                return false;
+            }
+        },
+        message: 'must be an absolute URL'
+    }
+};
+
+function escapePointer(token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function unescapePointer(token) {
+    return token.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    return typeOf(value) === type;
+}
+
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function resolveRef(root, ref) {
+    if (!ref.startsWith('#')) {
+        throw new Error(`Only local $ref is supported: ${ref}`);
+    }
+
+    return ref.slice(1).split('/').filter(Boolean).reduce((node, token) => {
+        const next = node[unescapePointer(token)];
+        if (next === undefined) {
+            throw new Error(`Unresolvable $ref: ${ref}`);
+        }
+        return next;
+    }, root);
+}
+
+function validateNode(schema, value, pointer, root, errors) {
+    if (schema === true) return;
+    if (schema === false) {
+        errors.push({ pointer, message: 'is not allowed' });
+        return;
+    }
+
+    if (schema.$ref) {
+        validateNode(resolveRef(root, schema.$ref), value, pointer, root, errors);
+    }
+
+    if (schema.type !== undefined) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push({ pointer, message: `must be ${types.map(type => TYPE_NAMES[type] || type).join(' or ')}` });
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(option => isEqual(option, value))) {
+        errors.push({ pointer, message: `must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+    }
+
+    if (schema.const !== undefined && !isEqual(schema.const, value)) {
+        errors.push({ pointer, message: `must be ${JSON.stringify(schema.const)}` });
+    }
+
+    if (typeof value === 'string') {
+        const length = [...value].length;
+
+        if (schema.minLength !== undefined && length < schema.minLength) {
+            errors.push({ pointer, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+        } else if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+            errors.push({ pointer, message: `must match ${schema.pattern}` });
+        }
+
+        if (schema.maxLength !== undefined && length > schema.maxLength) {
+            errors.push({ pointer, message: `must be at most ${schema.maxLength} characters (is ${length})` });
+        }
+
+        const format = FORMATS[schema.format];
+        if (format && !format.test(value)) {
+            errors.push({ pointer, message: format.message });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ pointer, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+        }
+
+        if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+            errors.push({ pointer, message: 'must not contain duplicates' });
+        }
+
+        if (schema.items !== undefined) {
+            value.forEach((item, index) => validateNode(schema.items, item, `${pointer}/${index}`, root, errors));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || [])
+            .filter(field => !Object.prototype.hasOwnProperty.call(value, field))
+            .forEach(field => errors.push({ pointer: `${pointer}/${escapePointer(field)}`, message: 'is required' }));
+
+        const properties = schema.properties || {};
+        Object.keys(value).forEach(field => {
+            const fieldPointer = `${pointer}/${escapePointer(field)}`;
+
+            if (Object.prototype.hasOwnProperty.call(properties, field)) {
+                validateNode(properties[field], value[field], fieldPointer, root, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ pointer: fieldPointer, message: 'is not an allowed field' });
+            } else if (schema.additionalProperties !== undefined) {
+                validateNode(schema.additionalProperties, value[field], fieldPointer, root, errors);
+            }
+        });
+    }
+
+    (schema.allOf || []).forEach(subschema => validateNode(subschema, value, pointer, root, errors));
+
+    if (schema.anyOf && !schema.anyOf.some(subschema => collect(subschema, value, pointer, root).length === 0)) {
+        errors.push({ pointer, message: 'must match at least one of the allowed shapes' });
+    }
+
+    if (schema.oneOf && schema.oneOf.filter(subschema => collect(subschema, value, pointer, root).length === 0).length !== 1) {
+        errors.push({ pointer, message: 'must match exactly one of the allowed shapes' });
+    }
+
+    if (schema.not !== undefined && collect(schema.not, value, pointer, root).length === 0) {
+        errors.push({ pointer, message: 'matches a disallowed shape' });
+    }
+
+    if (schema.if !== undefined) {
+        const branch = collect(schema.if, value, pointer, root).length === 0 ? schema.then : schema.else;
+        if (branch !== undefined) {
+            validateNode(branch, value, pointer, root, errors);
+        }
+    }
+}
+
+function collect(schema, value, pointer, root) {
+    const errors = [];
+    validateNode(schema, value, pointer, root, errors);
+    return errors;
+}
+
+/**
+ * Validate a value against a schema, or against the subschema at `ref`
+ * (e.g. "#/$defs/cert") with pointers relative to the value.
+ *
+ * Returns an array of { pointer, message }; empty when the value is valid.
+ */
+function validate(schema, value, ref = '#') {
+    return collect(resolveRef(schema, ref), value, '', schema);
+}
+
+function formatError(error) {
+    return `${error.pointer || '/'}: ${error.message}`;
+}
+
+module.exports = { validate, formatError, escapePointer };
@@ -0,0 +1,56 @@
+// Checks that the files the API writes to outlive the request.
+//
+// On Lambda the deployment package is read-only and /tmp belongs to one
+// instance and disappears with it, so a write kept in either would be lost
+// or only seen by the instance that made it. Files there must live on
+// storage every instance mounts, such as EFS, named by an environment
+// variable; routes that write return 503 until it is.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function onLambda() {
+    return Boolean(process.env.AWS_LAMBDA_FUNCTION_NAME);
+}
+
+function isWithin(target, dir) {
+    const relative = path.relative(path.resolve(dir), path.resolve(target));
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+// The file or directory itself, or the closest ancestor that exists, since writes create the rest
+function existingPath(target) {
+    let current = path.resolve(target);
+    while (!fs.existsSync(current) && path.dirname(current) !== current) {
+        current = path.dirname(current);
+    }
+    return current;
+}
+
+/**
+ * Why target, set by the environment variable named variable, cannot hold
+ * writes, or null when it can.
+ */
+function storageError(variable, target) {
+    if (onLambda()) {
+        if (!process.env[variable]) {
+            return `${variable} is not set; on Lambda it must point at storage shared by every instance`;
+        }
+
+        const ephemeral = [os.tmpdir(), process.env.LAMBDA_TASK_ROOT].filter(Boolean).find(dir => isWithin(target, dir));
+        if (ephemeral) {
+            return `${variable} (${target}) is inside ${ephemeral}, which is not kept between Lambda instances`;
+        }
+    }
+
+    try {
+        fs.accessSync(existingPath(target), fs.constants.W_OK);
+    } catch (error) {
+        return `${variable} (${target}) is not writable`;
+    }
+
+    return null;
+}
+
+module.exports = { onLambda, storageError };
@@ -0,0 +1,192 @@
+// Moderation queue for POST /api/submissions.
+//
+// A store keeps submission records and has four async methods: add(record),
+// get(id), list({ status }) (oldest first) and update(id, fields). STORES
+// maps SUBMISSION_STORE names to their factory; "file" (the default, one
+// JSON file per submission in SUBMISSIONS_DIR) is meant for development,
+// "memory" for a single process, and "dynamodb" (SUBMISSIONS_TABLE) keeps
+// the queue for every Lambda instance in production. Another backend only
+// has to provide the same methods and be added to STORES.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const storage = require('./storage');
+
+// Outside data/, which is published with the site
+const DEFAULT_DIR = path.join(__dirname, '../.submissions');
+
+function newId(now = new Date()) {
+    return `${now.toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function byCreatedAt(a, b) {
+    return a.createdAt.localeCompare(b.createdAt);
+}
+
+function matchesStatus(record, status) {
+    return !status || record.status === status;
+}
+
+function createMemoryStore() {
+    const records = new Map();
+
+    return {
+        async add(record) {
+            records.set(record.id, { ...record });
+            return { ...record };
+        },
+        async get(id) {
+            return records.has(id) ? { ...records.get(id) } : null;
+        },
+        async list({ status } = {}) {
+            return [...records.values()].filter(record => matchesStatus(record, status)).sort(byCreatedAt);
+        },
+        async update(id, fields) {
+            if (!records.has(id)) return null;
+            const record = { ...records.get(id), ...fields };
+            records.set(id, record);
+            return { ...record };
+        }
+    };
+}
+
+function createFileStore({ dir = process.env.SUBMISSIONS_DIR || DEFAULT_DIR } = {}) {
+    // Ids come from newId(); anything else could point outside dir
+    const fileFor = id => (/^\d{8}-[0-9a-f]{8}$/.test(id) ? path.join(dir, `${id}.json`) : null);
+
+    const read = async (file) => JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    const write = async (record) => {
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(fileFor(record.id), JSON.stringify(record, null, 2) + '\n');
+        return record;
+    };
+
+    return {
+        dir,
+        add: write,
+        async get(id) {
+            const file = fileFor(id);
+            if (!file) return null;
+
+            try {
+                return await read(file);
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+        async list({ status } = {}) {
+            let files;
+            try {
+                files = (await fs.promises.readdir(dir)).filter(file => file.endsWith('.json'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+
+            const records = await Promise.all(files.map(file => read(path.join(dir, file))));
+            return records.filter(record => matchesStatus(record, status)).sort(byCreatedAt);
+        },
+        async update(id, fields) {
+            const record = await this.get(id);
+            return record ? write({ ...record, ...fields }) : null;
+        }
+    };
+}
+
+// One item per submission: the record as JSON, with id and status alongside for lookups and filtering
+function createDynamoStore({ table = process.env.SUBMISSIONS_TABLE } = {}) {
+    if (!table) {
+        throw new Error('The dynamodb submission store needs SUBMISSIONS_TABLE');
+    }
+
+    // Bundled with the Lambda runtime; only needed when this store is chosen
+    const { DynamoDBClient, GetItemCommand, PutItemCommand, ScanCommand } = require('@aws-sdk/client-dynamodb');
+    const client = new DynamoDBClient({});
+
+    const put = async (record, condition) => {
+        await client.send(new PutItemCommand({
+            TableName: table,
+            Item: {
+                id: { S: record.id },
+                status: { S: record.status },
+                record: { S: JSON.stringify(record) }
+            },
+            ConditionExpression: condition
+        }));
+        return record;
+    };
+
+    return {
+        add: record => put(record, 'attribute_not_exists(id)'),
+        async get(id) {
+            const { Item } = await client.send(new GetItemCommand({
+                TableName: table,
+                Key: { id: { S: String(id) } },
+                ConsistentRead: true
+            }));
+            return Item ? JSON.parse(Item.record.S) : null;
+        },
+        async list({ status } = {}) {
+            const records = [];
+            let startKey;
+
+            do {
+                const page = await client.send(new ScanCommand({
+                    TableName: table,
+                    ConsistentRead: true,
+                    ExclusiveStartKey: startKey,
+                    ...(status
+                        ? {
+                            FilterExpression: '#status = :status',
+                            ExpressionAttributeNames: { '#status': 'status' },
+                            ExpressionAttributeValues: { ':status': { S: status } }
+                        }
+                        : {})
+                }));
+                records.push(...page.Items.map(item => JSON.parse(item.record.S)));
+                startKey = page.LastEvaluatedKey;
+            } while (startKey);
+
+            return records.sort(byCreatedAt);
+        },
+        async update(id, fields) {
+            const record = await this.get(id);
+            return record ? put({ ...record, ...fields }, 'attribute_exists(id)') : null;
+        }
+    };
+}
+
+const STORES = {
+    file: createFileStore,
+    memory: createMemoryStore,
+    dynamodb: createDynamoStore
+};
+
+/**
+ * Why submissions cannot be kept by the named store, or null. On Lambda
+ * the memory store and a file store under /tmp would lose the queue with
+ * the instance (see storage.js).
+ */
+function storageError(name = process.env.SUBMISSION_STORE || 'file') {
+    if (name === 'memory' && storage.onLambda()) {
+        return 'The memory submission store does not outlive the Lambda instance';
+    }
+
+    if (name === 'file') {
+        return storage.storageError('SUBMISSIONS_DIR', process.env.SUBMISSIONS_DIR || DEFAULT_DIR);
+    }
+
+    return null;
+}
+
+function createStore(name = process.env.SUBMISSION_STORE || 'file', options = {}) {
+    if (!STORES[name]) {
+        throw new Error(`Unknown submission store "${name}"; expected one of: ${Object.keys(STORES).join(', ')}`);
+    }
+
+    return STORES[name](options);
+}
+
+module.exports = { STORES, createStore, storageError, newId };
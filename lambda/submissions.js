@@ -0,0 +1,296 @@
+// Proposed new entries and field-level corrections, as accepted by
+// POST /api/submissions and approved by scripts/review-submissions.js.
+//
+// A submission is { type: "new", entry, source } or
+// { type: "correction", id, changes, source }, plus an optional note and
+// submitter { name, email }. changes maps dotted field paths, as used in
+// data/changes.json (e.g. "pgpKey.keyId"), to their new value; null
+// removes an optional field. source is one verification source
+// { type, url } backing the change. Errors are { pointer, message } like
+// the schema validator's, pointing into the submission.
+
+const CERTCountries = require('../assets/js/countries');
+const { validate } = require('./schema-validator');
+const certSchema = require('../data/cert.schema.json');
+const { countries } = require('../data/countries.json');
+
+const SUBMISSION_TYPES = ['new', 'correction'];
+const SUBMISSION_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Set by maintainers on approval, or never changed through a submission
+const PROTECTED_FIELDS = ['id', 'aliases', 'verification', 'lastUpdated', 'securityTxt'];
+
+const MAX_NOTE_LENGTH = 1000;
+
+// Never valid as a path segment; they would reach Object.prototype
+const UNSAFE_KEYS = ['__proto__', 'prototype', 'constructor'];
+
+function today(now = new Date()) {
+    return now.toISOString().slice(0, 10);
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function findCert(certs, id) {
+    const normalizedId = String(id).toLowerCase();
+    return certs.find(cert => cert.id === normalizedId) ||
+        certs.find(cert => Array.isArray(cert.aliases) && cert.aliases.includes(normalizedId)) ||
+        null;
+}
+
+// Copy of cert with each dotted path in changes set, or deleted when null
+function applyChanges(cert, changes) {
+    const patched = JSON.parse(JSON.stringify(cert));
+
+    Object.entries(changes).forEach(([field, value]) => {
+        const keys = field.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((node, key) => {
+            if (!isPlainObject(node[key])) node[key] = {};
+            return node[key];
+        }, patched);
+
+        if (value === null) {
+            delete parent[last];
+        } else {
+            parent[last] = value;
+        }
+    });
+
+    return patched;
+}
+
+// Dotted paths must start at a field of an entry that is not protected
+function validateChangePaths(changes, protectedFields, reason = 'is set by maintainers and cannot be corrected') {
+    const knownFields = Object.keys(certSchema.$defs.cert.properties);
+    const errors = [];
+
+    Object.keys(changes).forEach(field => {
+        const root = field.split('.')[0];
+        if (protectedFields.includes(root)) {
+            errors.push({ pointer: `/changes/${field}`, message: reason });
+        } else if (!knownFields.includes(root) || field.split('.').some(key => !key || UNSAFE_KEYS.includes(key))) {
+            errors.push({ pointer: `/changes/${field}`, message: 'is not a field of an entry' });
+        }
+    });
+
+    return errors;
+}
+
+// Schema and country code checks for one complete entry
+function validateCert(cert, pointerPrefix = '') {
+    const errors = validate(certSchema, cert, '#/$defs/cert')
+        .map(error => ({ ...error, pointer: pointerPrefix + error.pointer }));
+
+    if (typeof cert.countryCode === 'string' && !CERTCountries.isKnownCode(cert.countryCode, countries)) {
+        errors.push({
+            pointer: `${pointerPrefix}/countryCode`,
+            message: `"${cert.countryCode}" is not an ISO 3166-1 or constituency code`
+        });
+    }
+
+    return errors;
+}
+
+// Validate as a full entry; verification and lastUpdated are filled in the way approval will
+function validateEntry(entry, source, pointerPrefix, date) {
+    return validateCert({
+        ...entry,
+        verification: entry.verification || { status: 'pending', verifiedBy: 'submitter', verifiedAt: date, sources: [source] },
+        lastUpdated: date
+    }, pointerPrefix);
+}
+
+// Retired ids are never reused (see validate-json.js); null when id is free of them
+function retiredIdMessage(retiredIds, id) {
+    const retired = retiredIds.find(entry => entry.id === id);
+    return retired ? `"${id}" was retired on ${retired.retiredOn} and cannot be reused` : null;
+}
+
+function validateNew(body, certs, retiredIds, date) {
+    const errors = [];
+
+    if (!isPlainObject(body.entry)) {
+        return [{ pointer: '/entry', message: 'must be an object' }];
+    }
+
+    PROTECTED_FIELDS.filter(field => field !== 'id' && field in body.entry).forEach(field => {
+        errors.push({ pointer: `/entry/${field}`, message: 'is set by maintainers and cannot be submitted' });
+    });
+
+    if (typeof body.entry.id === 'string' && findCert(certs, body.entry.id)) {
+        errors.push({ pointer: '/entry/id', message: `"${body.entry.id}" is already used in certs.json` });
+    } else if (typeof body.entry.id === 'string' && retiredIdMessage(retiredIds, body.entry.id)) {
+        errors.push({ pointer: '/entry/id', message: retiredIdMessage(retiredIds, body.entry.id) });
+    }
+
+    return errors.length > 0 ? errors : validateEntry(body.entry, body.source, '/entry', date);
+}
+
+function validateCorrection(body, certs, date) {
+    if (typeof body.id !== 'string' || !findCert(certs, body.id)) {
+        return [{ pointer: '/id', message: `must be the id of an existing entry, got ${JSON.stringify(body.id)}` }];
+    }
+
+    if (!isPlainObject(body.changes) || Object.keys(body.changes).length === 0) {
+        return [{ pointer: '/changes', message: 'must be an object with at least one field' }];
+    }
+
+    const errors = validateChangePaths(body.changes, PROTECTED_FIELDS);
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    // The stored entry is valid, so whatever fails comes from the changes
+    return validateEntry(applyChanges(findCert(certs, body.id), body.changes), body.source, '/changes', date);
+}
+
+function validateSubmitter(submitter) {
+    if (submitter === undefined) return [];
+
+    if (!isPlainObject(submitter)) {
+        return [{ pointer: '/submitter', message: 'must be an object' }];
+    }
+
+    const errors = [];
+    if (submitter.name !== undefined && (typeof submitter.name !== 'string' || submitter.name.length > 200)) {
+        errors.push({ pointer: '/submitter/name', message: 'must be a string of at most 200 characters' });
+    }
+    if (submitter.email !== undefined && (typeof submitter.email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(submitter.email))) {
+        errors.push({ pointer: '/submitter/email', message: 'must be an email address' });
+    }
+    return errors;
+}
+
+/**
+ * Check a submission body against certs.json, retired-ids.json and the schema.
+ *
+ * Returns { submission, errors }: the normalized submission (without id,
+ * status or timestamps, which the store adds) or the list of errors.
+ */
+function parseSubmission(body, certs, retiredIds, now = new Date()) {
+    if (!isPlainObject(body)) {
+        return { errors: [{ pointer: '', message: 'must be a JSON object' }] };
+    }
+
+    if (!SUBMISSION_TYPES.includes(body.type)) {
+        return { errors: [{ pointer: '/type', message: `must be one of: ${SUBMISSION_TYPES.join(', ')}` }] };
+    }
+
+    const date = today(now);
+    const errors = [
+        ...validate(certSchema, body.source, '#/$defs/verification/properties/sources/items')
+            .map(error => ({ ...error, pointer: `/source${error.pointer}` })),
+        ...validateSubmitter(body.submitter)
+    ];
+
+    if (body.note !== undefined && (typeof body.note !== 'string' || body.note.length > MAX_NOTE_LENGTH)) {
+        errors.push({ pointer: '/note', message: `must be a string of at most ${MAX_NOTE_LENGTH} characters` });
+    }
+
+    if (errors.length === 0) {
+        errors.push(...(body.type === 'new'
+            ? validateNew(body, certs, retiredIds, date)
+            : validateCorrection(body, certs, date)));
+    }
+
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    const submission = body.type === 'new'
+        ? { type: 'new', certId: body.entry.id, entry: body.entry }
+        : { type: 'correction', certId: findCert(certs, body.id).id, changes: body.changes };
+
+    return {
+        submission: {
+            ...submission,
+            source: body.source,
+            note: body.note || null,
+            submitter: {
+                name: (body.submitter && body.submitter.name) || null,
+                email: (body.submitter && body.submitter.email) || null
+            }
+        },
+        errors: []
+    };
+}
+
+// certs.json is ordered by country name in code-unit order, the order
+// npm run validate-json checks; a collator would put "São Tomé" before "Singapore"
+function compareCountries(a, b) {
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+}
+
+// New entries go before the first entry of a later country, keeping certs.json in country order
+function insertByCountry(certs, cert) {
+    const index = certs.findIndex(existing => compareCountries(existing.country, cert.country) > 0);
+    return index === -1 ? [...certs, cert] : [...certs.slice(0, index), cert, ...certs.slice(index)];
+}
+
+/**
+ * Apply an approved submission to certs. A new entry may not take an id
+ * in retiredIds, which may have been retired since it was submitted.
+ *
+ * review is { by, source, date }: the maintainer, the source they
+ * checked (defaults to the submitted one) and the approval date. The
+ * entry is marked verified by them on that date. Returns { certs, cert }
+ * with the new array and the added or updated entry.
+ */
+function applySubmission(certs, retiredIds, submission, review) {
+    const date = review.date || today();
+    const source = review.source || submission.source;
+
+    if (submission.type === 'new') {
+        if (findCert(certs, submission.entry.id)) {
+            throw new Error(`${submission.entry.id} is already in certs.json`);
+        }
+        if (retiredIdMessage(retiredIds, submission.entry.id)) {
+            throw new Error(retiredIdMessage(retiredIds, submission.entry.id));
+        }
+
+        const cert = {
+            ...submission.entry,
+            verification: { status: 'verified', verifiedBy: review.by, verifiedAt: date, sources: [source] },
+            lastUpdated: date
+        };
+        return { certs: insertByCountry(certs, cert), cert };
+    }
+
+    const existing = findCert(certs, submission.certId);
+    if (!existing) {
+        throw new Error(`${submission.certId} is no longer in certs.json`);
+    }
+
+    const previousSources = (existing.verification && existing.verification.sources) || [];
+    const cert = {
+        ...applyChanges(existing, submission.changes),
+        verification: {
+            status: 'verified',
+            verifiedBy: review.by,
+            verifiedAt: date,
+            sources: [source, ...previousSources.filter(item => item.url !== source.url)]
+        },
+        lastUpdated: date
+    };
+
+    return { certs: certs.map(entry => (entry === existing ? cert : entry)), cert };
+}
+
+module.exports = {
+    SUBMISSION_TYPES,
+    SUBMISSION_STATUSES,
+    PROTECTED_FIELDS,
+    findCert,
+    retiredIdMessage,
+    validateCert,
+    validateChangePaths,
+    parseSubmission,
+    applyChanges,
+    compareCountries,
+    insertByCountry,
+    applySubmission
+};
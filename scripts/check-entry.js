@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const schema = require('../data/cert.schema.json');
+const { validate, formatError } = require('../lambda/schema-validator');
+const CERTCountries = require('../assets/js/countries');
+const { countries } = require('../data/countries.json');
+
+// Usage: node scripts/check-entry.js <entry.json>
+//
+// Checks a proposed CERT entry (a single object, or an array of them)
+// against data/cert.schema.json before it is added to certs.json, and
+// reports IDs that are already taken and unknown country codes. Errors carry JSON pointers into the
+// file, e.g. "/pgpKey/keyId".
+
+const DATA_PATH = path.join(__dirname, '../data/certs.json');
+
+function checkEntries(entries, existing) {
+  const taken = new Set(existing.flatMap(cert => [cert.id, ...(cert.aliases || [])]));
+
+  return entries.map((entry, index) => {
+    const prefix = entries.length > 1 ? `/${index}` : '';
+    const errors = validate(schema, entry, '#/$defs/cert')
+      .map(error => formatError({ ...error, pointer: prefix + error.pointer }));
+
+    if (entry && taken.has(entry.id)) {
+      errors.push(`${prefix}/id: "${entry.id}" is already used in certs.json`);
+    }
+
+    if (entry && typeof entry.countryCode === 'string' && !CERTCountries.isKnownCode(entry.countryCode, countries)) {
+      errors.push(`${prefix}/countryCode: "${entry.countryCode}" is not listed in data/countries.json or a constituency code`);
+    }
+
+    return { id: entry && entry.id, errors };
+  });
+}
+
+function main() {
+  const file = process.argv[2];
+
+  if (!file) {
+    console.error('Usage: node scripts/check-entry.js <entry.json>');
+    process.exit(1);
+  }
+
+  let input;
+  try {
+    input = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error(`❌ Could not read ${file}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const entries = Array.isArray(input) ? input : [input];
+  const existing = JSON.parse(fs.readFileSync(DATA_PATH, 'utf8'));
+
+  console.log(`🔍 Checking ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'} against cert.schema.json v${schema.version}...`);
+
+  const results = checkEntries(entries, existing);
+  results.forEach(result => {
+    if (result.errors.length === 0) {
+      console.log(`✅ ${result.id}`);
+    } else {
+      console.error(`❌ ${result.id || 'Entry without id'}:`);
+      result.errors.forEach(error => console.error(`   • ${error}`));
+    }
+  });
+
+  process.exit(results.some(result => result.errors.length > 0) ? 1 : 0);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { checkEntries };
@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const CERTContacts = require('../assets/js/contacts');
+
+// Usage: node scripts/check-security-txt.js [--fixtures <dir>] [--write]
+//        node scripts/check-security-txt.js --test
+//
+// Fetches each team's security.txt (RFC 9116) from
+// <website>/.well-known/security.txt, falling back to /security.txt, and
+// cross-checks its Contact and Encryption fields against the entry's
+// email addresses (email and the email channels in contacts) and pgpKey.
+// With --fixtures, files are read from <dir>/<id>.txt instead of the
+// network. With --write, the parsed result is stored in each entry's
+// "securityTxt" object in certs.json. --test runs the check offline on the
+// entries and files in tests/fixtures/security-txt/ and compares the
+// results with its expected.json.
+
+const DATA_PATH = path.join(__dirname, '../data/certs.json');
+const TEST_DIR = path.join(__dirname, '../tests/fixtures/security-txt');
+
+const TIMEOUT = 15000; // 15 seconds
+const MAX_REDIRECTS = 3;
+const MAX_BYTES = 32 * 1024; // security.txt files are a few hundred bytes
+const USER_AGENT = 'CERTopedia-SecurityTxtChecker/1.0 (https://cert.danieloo.com)';
+const LOCATIONS = ['/.well-known/security.txt', '/security.txt'];
+
+// Fields that may appear more than once, collected into lists
+const LIST_FIELDS = {
+  'contact': 'contact',
+  'encryption': 'encryption',
+  'canonical': 'canonical',
+  'policy': 'policy',
+  'acknowledgments': 'acknowledgments',
+  'hiring': 'hiring'
+};
+
+function fetchText(url, redirects = 0) {
+  return new Promise((resolve, reject) => {
+    const req = https.get(url, {
+      timeout: TIMEOUT,
+      headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/plain' }
+    }, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        const redirectUrl = new URL(res.headers.location, url).href;
+
+        // RFC 9116 requires HTTPS, so never follow a redirect away from it
+        if (redirects >= MAX_REDIRECTS || !redirectUrl.startsWith('https://')) {
+          reject(new Error(`refusing redirect to ${redirectUrl}`));
+          return;
+        }
+
+        fetchText(redirectUrl, redirects + 1).then(resolve).catch(reject);
+        return;
+      }
+
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        body += chunk;
+        if (body.length > MAX_BYTES) {
+          req.destroy(new Error('response too large'));
+        }
+      });
+      res.on('end', () => resolve({
+        statusCode: res.statusCode,
+        contentType: res.headers['content-type'] || '',
+        body,
+        url
+      }));
+    });
+
+    req.on('error', reject);
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error('Request timeout'));
+    });
+  });
+}
+
+async function fetchSecurityTxt(cert) {
+  let lastStatus = null;
+
+  for (const location of LOCATIONS) {
+    const url = new URL(location, cert.website).href;
+    const response = await fetchText(url);
+
+    if (response.statusCode === 200 && response.contentType.startsWith('text/plain')) {
+      return { url: response.url, text: response.body };
+    }
+
+    lastStatus = response.statusCode;
+  }
+
+  return { url: new URL(LOCATIONS[0], cert.website).href, text: null, statusCode: lastStatus };
+}
+
+function readFixture(dir, cert) {
+  const file = path.join(dir, `${cert.id}.txt`);
+  const url = new URL(LOCATIONS[0], cert.website).href;
+
+  return { url, text: fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null };
+}
+
+// Strip an OpenPGP cleartext signature, undoing its dash-escaping
+function unwrapSigned(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const begin = lines.indexOf('-----BEGIN PGP SIGNED MESSAGE-----');
+
+  if (begin === -1) {
+    return { lines, signed: false };
+  }
+
+  const headersEnd = lines.indexOf('', begin);
+  const signature = lines.indexOf('-----BEGIN PGP SIGNATURE-----', headersEnd);
+  const body = lines.slice(headersEnd + 1, signature === -1 ? lines.length : signature);
+
+  return { lines: body.map(line => line.replace(/^- /, '')), signed: true };
+}
+
+/**
+ * Parse a security.txt file into
+ * { contact, encryption, canonical, policy, acknowledgments, hiring,
+ *   expires, preferredLanguages, signed }.
+ */
+function parseSecurityTxt(text) {
+  const { lines, signed } = unwrapSigned(text);
+  const parsed = {
+    contact: [],
+    encryption: [],
+    canonical: [],
+    policy: [],
+    acknowledgments: [],
+    hiring: [],
+    expires: null,
+    preferredLanguages: [],
+    signed
+  };
+
+  lines.forEach(line => {
+    const match = line.match(/^([A-Za-z-]+):\s*(.+?)\s*$/);
+    if (!match || line.startsWith('#')) {
+      return;
+    }
+
+    const field = match[1].toLowerCase();
+    const value = match[2];
+
+    if (LIST_FIELDS[field]) {
+      parsed[LIST_FIELDS[field]].push(value);
+    } else if (field === 'expires' && !parsed.expires) {
+      parsed.expires = value;
+    } else if (field === 'preferred-languages') {
+      parsed.preferredLanguages = value.split(',').map(language => language.trim()).filter(Boolean);
+    }
+  });
+
+  return parsed;
+}
+
+function normalizeFingerprint(value) {
+  return String(value || '').replace(/\s+/g, '').toUpperCase();
+}
+
+// The entry's email addresses: email and every email channel in contacts
+function entryEmails(cert) {
+  const channels = (cert.contacts || []).filter(contact => contact.channel === 'email').map(contact => contact.value);
+  return [...new Set([cert.email, ...channels].filter(Boolean).map(CERTContacts.normalizeEmail))];
+}
+
+// The address of a mailto: URI, or null when its percent-encoding is malformed
+function mailtoAddress(uri) {
+  try {
+    return CERTContacts.normalizeEmail(decodeURIComponent(uri.slice('mailto:'.length).split('?')[0]));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Compare a parsed security.txt with the directory entry.
+ *
+ * Returns the object stored as cert.securityTxt.
+ */
+function crossCheck(cert, parsed, url, now = new Date()) {
+  const issues = [];
+  const emails = entryEmails(cert);
+  const mailtos = parsed.contact.filter(contact => /^mailto:/i.test(contact));
+  const listed = mailtos.map(mailtoAddress);
+  const contactConfirmed = emails.some(email => listed.includes(email));
+
+  mailtos
+    .filter((contact, index) => listed[index] === null)
+    .forEach(contact => issues.push(`Contact ${contact} is not a valid mailto: URI`));
+
+  if (parsed.contact.length === 0) {
+    issues.push('no Contact field');
+  } else if (!contactConfirmed) {
+    issues.push(`Contact (${parsed.contact.join(', ')}) does not include ${emails.join(' or ') || 'an email address of the entry'}`);
+  }
+
+  let expired = false;
+  if (!parsed.expires) {
+    issues.push('no Expires field');
+  } else if (Number.isNaN(Date.parse(parsed.expires))) {
+    issues.push(`Expires "${parsed.expires}" is not a valid date`);
+  } else if (new Date(parsed.expires) <= now) {
+    expired = true;
+    issues.push(`expired on ${parsed.expires}`);
+  }
+
+  const pgpKey = cert.pgpKey || {};
+  const fingerprints = parsed.encryption
+    .filter(uri => /^openpgp4fpr:/i.test(uri))
+    .map(uri => normalizeFingerprint(uri.slice('openpgp4fpr:'.length)));
+
+  if (parsed.encryption.length > 0 && !pgpKey.available) {
+    issues.push(`Encryption (${parsed.encryption.join(', ')}) is listed but pgpKey.available is false`);
+  } else if (fingerprints.length > 0 && pgpKey.fingerprint &&
+    !fingerprints.includes(normalizeFingerprint(pgpKey.fingerprint))) {
+    issues.push(`Encryption fingerprint does not match pgpKey.fingerprint ${pgpKey.fingerprint}`);
+  } else if (parsed.encryption.length === 0 && pgpKey.available) {
+    issues.push('pgpKey is available but security.txt has no Encryption field');
+  }
+
+  let status = 'ok';
+  if (expired) {
+    status = 'expired';
+  } else if (issues.length > 0) {
+    status = 'mismatch';
+  }
+
+  return {
+    url,
+    status,
+    checkedAt: now.toISOString().slice(0, 10),
+    contactConfirmed: contactConfirmed && !expired,
+    contacts: parsed.contact,
+    encryption: parsed.encryption,
+    expires: parsed.expires,
+    preferredLanguages: parsed.preferredLanguages,
+    signed: parsed.signed,
+    issues
+  };
+}
+
+// The result for a file as read by readFixture() or fetchSecurityTxt()
+function checkFile(cert, { url, text }, now = new Date()) {
+  if (text === null) {
+    return { url, status: 'missing', checkedAt: now.toISOString().slice(0, 10), contactConfirmed: false, issues: ['no security.txt published'] };
+  }
+
+  return crossCheck(cert, parseSecurityTxt(text), url, now);
+}
+
+/**
+ * Check the entries in TEST_DIR/certs.json against their <id>.txt files as
+ * of expected.json's checkedAt. Returns the results that differ from
+ * expected.json's { results: { <id>: { status, contactConfirmed, issues } } }.
+ */
+function checkFixtures(dir = TEST_DIR) {
+  const certs = JSON.parse(fs.readFileSync(path.join(dir, 'certs.json'), 'utf8'));
+  const { checkedAt, results } = JSON.parse(fs.readFileSync(path.join(dir, 'expected.json'), 'utf8'));
+  const now = new Date(checkedAt);
+
+  return certs.flatMap(cert => {
+    const result = checkFile(cert, readFixture(dir, cert), now);
+    const expected = results[cert.id];
+
+    if (!expected) {
+      return [`${cert.id}: no expected result`];
+    }
+
+    return Object.keys(expected)
+      .filter(field => JSON.stringify(result[field]) !== JSON.stringify(expected[field]))
+      .map(field => `${cert.id}: ${field} is ${JSON.stringify(result[field])}, expected ${JSON.stringify(expected[field])}`);
+  });
+}
+
+function runTests() {
+  console.log(`🧪 Checking security.txt fixtures in ${path.relative(process.cwd(), TEST_DIR)}...`);
+
+  const failures = checkFixtures();
+  failures.forEach(failure => console.error(`❌ ${failure}`));
+
+  if (failures.length > 0) {
+    console.error(`\n❌ ${failures.length} unexpected result(s)`);
+    process.exit(1);
+  }
+
+  console.log('✅ security.txt fixtures gave the expected results');
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const fixturesIndex = args.indexOf('--fixtures');
+  const fixturesDir = fixturesIndex !== -1 ? path.resolve(args[fixturesIndex + 1] || '') : null;
+  const write = args.includes('--write');
+
+  if (args.includes('--test')) {
+    runTests();
+    return;
+  }
+
+  if (fixturesDir && !fs.existsSync(fixturesDir)) {
+    console.error(`❌ Fixture directory not found: ${fixturesDir}`);
+    process.exit(1);
+  }
+
+  console.log(`🔏 Checking security.txt for each CERT${fixturesDir ? ` (fixtures: ${fixturesDir})` : ''}...`);
+
+  const certs = JSON.parse(fs.readFileSync(DATA_PATH, 'utf8'));
+  const summary = { ok: 0, mismatch: 0, expired: 0, missing: 0, failed: 0 };
+
+  for (const cert of certs) {
+    let file;
+
+    try {
+      file = fixturesDir ? readFixture(fixturesDir, cert) : await fetchSecurityTxt(cert);
+    } catch (error) {
+      // Keep the previous result when the site is merely unreachable
+      console.log(`⏰ ${cert.id}: ${error.message}`);
+      summary.failed++;
+      continue;
+    }
+
+    const result = checkFile(cert, file);
+    summary[result.status]++;
+
+    const icon = { ok: '✅', mismatch: '⚠️ ', expired: '❌', missing: '➖' }[result.status];
+    console.log(`${icon} ${cert.id}: ${result.status}${result.contactConfirmed ? ' (contact confirmed)' : ''}`);
+    if (result.status !== 'missing') {
+      result.issues.forEach(issue => console.log(`    • ${issue}`));
+    }
+
+    if (write) {
+      cert.securityTxt = result;
+    }
+  }
+
+  console.log('\n📊 security.txt Report');
+  console.log('═'.repeat(50));
+  console.log(`✅ Confirmed: ${summary.ok}`);
+  console.log(`⚠️  Mismatches: ${summary.mismatch}`);
+  console.log(`❌ Expired: ${summary.expired}`);
+  console.log(`➖ Not published: ${summary.missing}`);
+  console.log(`⏰ Unreachable: ${summary.failed}`);
+
+  if (write) {
+    fs.writeFileSync(DATA_PATH, JSON.stringify(certs, null, 2) + '\n');
+    console.log('\n💾 Stored results in certs.json; run npm run validate-json and review the diff');
+  }
+
+  // Mismatches and expired files need a maintainer; missing files are common and only reported
+  process.exit(summary.mismatch + summary.expired > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥 security.txt check failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseSecurityTxt, crossCheck, checkFixtures };
@@ -0,0 +1,357 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArmoredKey, formatFingerprint } = require('./validate-pgp');
+
+// Usage: node scripts/contract-test.js
+//
+// Checks the API against its OpenAPI document. Each case calls the handler
+// in lambda/api.js in-process; the response must have a status the
+// operation documents, a documented media type and the headers marked
+// required, and a JSON body must match the response schema. Request bodies
+// of cases that should succeed are checked against the documented request
+// schema too. Writes go to a temporary copy of data/ with throwaway API
+// keys, audit log and in-memory stores, so the repository is not touched.
+// A case may set environment variables for its request only.
+// Fails when a case does not match or an operation is never exercised.
+
+const DATA_DIR = path.join(__dirname, '../data');
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'certopedia-contract-'));
+
+// Read by the lambda modules when they load
+fs.cpSync(DATA_DIR, path.join(tmpDir, 'data'), { recursive: true });
+process.env.DATA_DIR = path.join(tmpDir, 'data');
+
+// No team key is in the store yet, so serve a test key for the first entry
+// with a key on file to reach GET /api/certs/{id}/pgp → 200
+const keyed = seedPgpKey(path.join(tmpDir, 'data'));
+process.env.API_KEYS_FILE = path.join(tmpDir, 'api-keys.json');
+process.env.AUDIT_LOG_FILE = path.join(tmpDir, 'audit-log.jsonl');
+process.env.SUBMISSION_STORE = 'memory';
+process.env.RATE_LIMIT_STORE = 'memory';
+// Tiny buckets to reach 429, and room for every submission case
+process.env.RATE_LIMITS = JSON.stringify({ '/countries': { limit: 2 }, '/submissions': { limit: 20 }, 'auth-failures': { limit: 2 } });
+
+const api = require('../lambda/api');
+const CERTOpenApi = require('../assets/js/openapi');
+const { getDocument } = require('../lambda/openapi');
+const { generateKey, saveKeys } = require('../lambda/auth');
+const { validate, formatError, escapePointer } = require('../lambda/schema-validator');
+
+const spec = getDocument();
+const certs = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'certs.json'), 'utf8'));
+
+// Store tests/fixtures/pgp/valid.asc as the key of the first entry with one
+// available, recording its real key ID and fingerprint; returns that entry
+function seedPgpKey(dataDir) {
+  const certsPath = path.join(dataDir, 'certs.json');
+  const stored = JSON.parse(fs.readFileSync(certsPath, 'utf8'));
+  const target = stored.find(item => item.pgpKey && item.pgpKey.available);
+  const armored = fs.readFileSync(path.join(__dirname, '../tests/fixtures/pgp/valid.asc'), 'utf8');
+  const key = parseArmoredKey(armored);
+
+  fs.mkdirSync(path.join(dataDir, 'pgp'), { recursive: true });
+  fs.writeFileSync(path.join(dataDir, 'pgp', `${target.id}.asc`), armored);
+  target.pgpKey = {
+    available: true,
+    keyId: `0x${key.keyId.slice(-8)}`,
+    fingerprint: formatFingerprint(key.fingerprint),
+    keyFile: `data/pgp/${target.id}.asc`
+  };
+  fs.writeFileSync(certsPath, JSON.stringify(stored, null, 2) + '\n');
+  return target;
+}
+
+function createKeys() {
+  const keys = {};
+  const records = ['contributor', 'maintainer'].map(role => {
+    const { key, record } = generateKey();
+    keys[role] = key;
+    return { ...record, name: `Contract test ${role}`, role, createdAt: new Date().toISOString(), revokedAt: null };
+  });
+
+  saveKeys(records);
+  return keys;
+}
+
+// A component $ref, or the inline object at pointer
+function follow(pointer) {
+  const node = CERTOpenApi.resolveRef(spec, pointer);
+  return node.$ref ? { pointer: node.$ref, node: CERTOpenApi.resolveRef(spec, node.$ref) } : { pointer, node };
+}
+
+function findOperation(method, apiPath) {
+  const route = apiPath === '/' ? '/certs' : apiPath;
+  const template = Object.keys(spec.paths).find(candidate =>
+    new RegExp(`^${candidate.replace(/\./g, '\\.').replace(/\{[^}]+\}/g, '[^/]+')}$`).test(route));
+
+  if (!template || !spec.paths[template][method.toLowerCase()]) {
+    return null;
+  }
+
+  return {
+    name: `${method} ${template}`,
+    pointer: `#/paths/${escapePointer(template)}/${method.toLowerCase()}`,
+    operation: spec.paths[template][method.toLowerCase()]
+  };
+}
+
+function headerValue(headers, name) {
+  const header = Object.entries(headers || {}).find(([key]) => key.toLowerCase() === name.toLowerCase());
+  return header ? header[1] : undefined;
+}
+
+async function callApi({ method = 'GET', url, headers = {}, body, env = {}, sourceIp = '192.0.2.1' }) {
+  const [rawPath, rawQueryString = ''] = url.split('?');
+  const event = {
+    requestContext: { http: { method, sourceIp } },
+    rawPath,
+    rawQueryString,
+    headers,
+    body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+  };
+
+  // The handler logs every request
+  const log = console.log;
+  const saved = Object.fromEntries(Object.keys(env).map(name => [name, process.env[name]]));
+  console.log = () => {};
+  Object.assign(process.env, env);
+  try {
+    return await api.handler(event);
+  } finally {
+    console.log = log;
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  }
+}
+
+// Problems with a response to a documented operation, as strings
+function checkResponse(found, response) {
+  const status = String(response.statusCode);
+  if (!found.operation.responses[status]) {
+    return [`status ${status} is not documented (${Object.keys(found.operation.responses).join(', ')})`];
+  }
+
+  const documented = follow(`${found.pointer}/responses/${status}`);
+  const problems = [];
+
+  Object.entries(documented.node.headers || {})
+    .filter(([, header]) => header.required)
+    .filter(([name]) => headerValue(response.headers, name) === undefined)
+    .forEach(([name]) => problems.push(`required header ${name} is missing`));
+
+  if (!documented.node.content) {
+    return response.body ? [...problems, 'has a body where none is documented'] : problems;
+  }
+
+  const mediaType = String(headerValue(response.headers, 'content-type') || '').split(';')[0].trim();
+  if (!documented.node.content[mediaType]) {
+    return [...problems, `media type "${mediaType}" is not documented (${Object.keys(documented.node.content).join(', ')})`];
+  }
+
+  if (mediaType !== 'application/json') {
+    return problems;
+  }
+
+  let body;
+  try {
+    body = JSON.parse(response.body);
+  } catch (error) {
+    return [...problems, 'body is not valid JSON'];
+  }
+
+  return [
+    ...problems,
+    ...validate(spec, body, `${documented.pointer}/content/${escapePointer(mediaType)}/schema`).map(formatError)
+  ];
+}
+
+function checkRequest(found, body) {
+  if (body === undefined || !found.operation.requestBody) {
+    return [];
+  }
+
+  return validate(spec, body, `${found.pointer}/requestBody/content/application~1json/schema`)
+    .map(error => `request ${formatError(error)}`);
+}
+
+function buildCases(keys, state) {
+  const cert = certs[0];
+  const maintainer = { 'Authorization': `Bearer ${keys.maintainer}`, 'Content-Type': 'application/json' };
+  const contributor = { 'Authorization': `Bearer ${keys.contributor}`, 'Content-Type': 'application/json' };
+  const { id, lastUpdated, aliases, ...entry } = cert;
+  const newEntry = { ...entry, name: 'Contract Test CERT', aliases: ['contract-test-former'] };
+  const correction = {
+    type: 'correction',
+    id: cert.id,
+    changes: { description: 'Corrected by the contract test' },
+    source: { type: 'official-website', url: 'https://example.org/about' },
+    note: 'Contract test'
+  };
+  const { verification, securityTxt, ...proposed } = entry;
+  const proposal = { type: 'new', entry: { ...proposed, id: 'contract-test', name: 'Contract Test CERT' }, source: correction.source };
+
+  return [
+    {
+      url: '/api/certs',
+      status: 200,
+      save: response => {
+        state.etag = headerValue(response.headers, 'etag');
+        state.lastModified = headerValue(response.headers, 'last-modified');
+      }
+    },
+    { url: '/api/certs', headers: () => ({ 'If-None-Match': state.etag }), status: 304 },
+    // Last-Modified has day precision and could hide a same-day change, so only the ETag revalidates
+    { url: '/api/certs', headers: () => ({ 'If-Modified-Since': state.lastModified }), status: 200 },
+    { url: '/api', status: 200 },
+    { url: '/api/certs?search=cert&limit=5&offset=5&lang=fr', status: 200 },
+    { url: '/api/certs?fields=name,country,emergencyContact&sort=name&order=desc', status: 200 },
+    { url: '/api/certs?sector=National&region=Europe&pgp=true&verified=false&stale=false', status: 200 },
+    { url: '/api/certs?status=disputed,defunct', status: 200 },
+    { url: '/api/certs?format=csv', status: 200 },
+    { url: '/api/certs?format=vcf&country=DE', status: 200 },
+    { url: '/api/certs?format=ics&country=DE', status: 200 },
+    { url: '/api/certs?limit=500', status: 400 },
+    { url: '/api/certs?lang=xx', status: 400 },
+    { url: `/api/certs/${cert.id}`, status: 200 },
+    { url: `/api/certs/${cert.id}?lang=es`, status: 200 },
+    { url: '/api/certs/no-such-cert', status: 404 },
+    { url: '/api/certs/%E0', status: 400 },
+    { url: '/api/certs/%E0/pgp', status: 400 },
+    { url: `/api/certs/${keyed.id}/pgp`, status: 200 },
+    { url: `/api/certs/${certs.find(item => !item.pgpKey || !item.pgpKey.available).id}/pgp`, status: 404 },
+    { url: '/api/changes', status: 200 },
+    { url: `/api/changes?since=2024-01-01&id=${cert.id}`, status: 200 },
+    { url: '/api/changes?format=atom', status: 200 },
+    { url: '/api/changes?since=yesterday', status: 400 },
+    { url: '/api/stats', status: 200 },
+    { url: '/api/stats', headers: { 'Authorization': 'Bearer cpk_not-a-key' }, status: 401 },
+    // Invalid keys from one address use up its attempts, after which even a valid key is refused
+    { url: '/api/stats', headers: { 'Authorization': 'Bearer cpk_guess-1' }, sourceIp: '192.0.2.2', status: 401 },
+    { url: '/api/stats', headers: { 'Authorization': 'Bearer cpk_guess-2' }, sourceIp: '192.0.2.2', status: 401 },
+    { url: '/api/stats', headers: contributor, sourceIp: '192.0.2.2', status: 429 },
+    { url: '/api/stats', sourceIp: '192.0.2.2', status: 200 },
+    { url: '/api/countries?lang=pt', status: 200 },
+    { url: '/api/countries', status: 200 },
+    { url: '/api/countries', status: 429 },
+    { url: '/api/coverage', status: 200 },
+    { url: '/api/coverage?status=missing,stale&lang=fr', status: 200 },
+    { url: '/api/coverage?status=unknown', status: 400 },
+    { url: '/api/sectors', status: 200 },
+    { url: '/api/health', status: 200 },
+    { url: '/api/openapi.json', status: 200 },
+
+    { method: 'POST', url: '/api/submissions', headers: { 'Content-Type': 'application/json' }, body: correction, status: 202 },
+    { method: 'POST', url: '/api/submissions', headers: contributor, body: correction, status: 202 },
+    { method: 'POST', url: '/api/submissions', headers: { 'Content-Type': 'text/plain' }, body: correction, status: 415 },
+    { method: 'POST', url: '/api/submissions', headers: { 'Content-Type': 'application/json' }, body: '{"type":', status: 400 },
+    { method: 'POST', url: '/api/submissions', headers: { 'Content-Type': 'application/json' }, body: { ...correction, id: 'no-such-cert' }, status: 422 },
+    { method: 'POST', url: '/api/submissions', headers: { 'Content-Type': 'application/json' }, body: { ...correction, note: 'x'.repeat(70000) }, status: 413 },
+    { method: 'POST', url: '/api/submissions', headers: { 'Content-Type': 'application/json' }, body: correction, env: { AWS_LAMBDA_FUNCTION_NAME: 'contract-test' }, status: 503 },
+
+    { url: '/api/audit', status: 401 },
+    { url: '/api/audit', headers: contributor, status: 403 },
+    { method: 'PUT', url: '/api/certs/contract-test', body: newEntry, status: 401 },
+    { method: 'PUT', url: '/api/certs/contract-test', headers: contributor, body: newEntry, status: 403 },
+    { method: 'PUT', url: '/api/certs/contract-test', headers: maintainer, body: newEntry, status: 201 },
+    { method: 'PUT', url: '/api/certs/contract-test', headers: maintainer, body: { ...newEntry, name: 'Contract Test CERT (renamed)' }, status: 200 },
+    { method: 'PUT', url: '/api/certs/contract-test', headers: maintainer, body: { ...newEntry, email: 'not an address' }, status: 422 },
+    { url: '/api/certs/contract-test-former', status: 301 },
+    { url: '/api/certs/contract-test-former/pgp', status: 301 },
+    { method: 'PATCH', url: '/api/certs/contract-test', headers: maintainer, body: { changes: { description: 'Patched by the contract test' }, source: correction.source }, status: 200 },
+    { method: 'PATCH', url: '/api/certs/contract-test', headers: maintainer, body: { changes: { id: 'renamed' } }, status: 422 },
+    { method: 'PATCH', url: '/api/certs/no-such-cert', headers: maintainer, body: { changes: { description: 'None' } }, status: 404 },
+    { method: 'DELETE', url: '/api/certs/%E0?reason=Malformed', headers: maintainer, status: 400 },
+    { method: 'DELETE', url: '/api/certs/contract-test', headers: maintainer, status: 422 },
+    { method: 'DELETE', url: '/api/certs/contract-test?reason=Added%20by%20the%20contract%20test', headers: maintainer, status: 200 },
+    { method: 'PUT', url: '/api/certs/contract-test', headers: maintainer, body: newEntry, status: 422 },
+    // Retired ids cannot come back through the submission queue either
+    { method: 'POST', url: '/api/submissions', headers: { 'Content-Type': 'application/json' }, body: proposal, status: 422 },
+    { method: 'POST', url: '/api/submissions', headers: { 'Content-Type': 'application/json' }, body: { ...proposal, entry: { ...proposal.entry, id: 'contract-test-proposed' } }, status: 202 },
+    // On Lambda a temporary directory is not durable storage, so routes that write there are off
+    { method: 'PATCH', url: '/api/certs/contract-test', headers: maintainer, body: { changes: { description: 'Not saved' } }, env: { AWS_LAMBDA_FUNCTION_NAME: 'contract-test' }, status: 503 },
+    { url: '/api/audit', headers: maintainer, env: { AWS_LAMBDA_FUNCTION_NAME: 'contract-test' }, status: 503 },
+    { url: '/api/audit', headers: maintainer, status: 200 },
+    { url: '/api/audit?id=contract-test', headers: maintainer, status: 200 }
+  ];
+}
+
+async function runCase(testCase) {
+  const method = testCase.method || 'GET';
+  const headers = typeof testCase.headers === 'function' ? testCase.headers() : testCase.headers;
+  const apiPath = testCase.url.split('?')[0].replace('/api', '') || '/';
+  const found = findOperation(method, apiPath);
+
+  if (!found) {
+    return { name: `${method} ${testCase.url}`, problems: ['no operation in the OpenAPI document'] };
+  }
+
+  const response = await callApi({ ...testCase, method, headers });
+  const problems = checkResponse(found, response);
+
+  if (response.statusCode !== testCase.status) {
+    problems.unshift(`expected status ${testCase.status}, got ${response.statusCode}`);
+  }
+
+  if (testCase.status < 300) {
+    problems.push(...checkRequest(found, testCase.body));
+  }
+
+  if (testCase.save) {
+    testCase.save(response);
+  }
+
+  return { name: `${method} ${testCase.url.slice(0, 80)} → ${response.statusCode}`, operation: found.name, problems };
+}
+
+async function main() {
+  console.log(`📜 Checking the API against ${spec.info.title} ${spec.info.version} (OpenAPI ${spec.openapi})`);
+
+  const keys = createKeys();
+  const state = {};
+  const exercised = new Set();
+  let failures = 0;
+
+  try {
+    for (const testCase of buildCases(keys, state)) {
+      const result = await runCase(testCase);
+      exercised.add(result.operation);
+
+      if (result.problems.length > 0) {
+        failures++;
+        console.error(`❌ ${result.name}`);
+        result.problems.forEach(problem => console.error(`   ${problem}`));
+      } else {
+        console.log(`✅ ${result.name}`);
+      }
+    }
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  const operations = CERTOpenApi.operations(spec).map(({ path: template, method }) => `${method.toUpperCase()} ${template}`);
+  const missed = operations.filter(operation => !exercised.has(operation));
+
+  missed.forEach(operation => console.error(`❌ ${operation} is documented but never exercised`));
+
+  if (failures > 0 || missed.length > 0) {
+    console.error(`\n❌ ${failures} response(s) do not match the OpenAPI document, ${missed.length} operation(s) not exercised`);
+    process.exit(1);
+  }
+
+  console.log(`\n✅ All responses match the OpenAPI document; ${operations.length} operations exercised`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Contract test failed:', error);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    process.exit(1);
+  });
+}
+
+module.exports = { findOperation, checkResponse };
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const CERTCoverage = require('../assets/js/coverage');
+const CERTFilters = require('../assets/js/filters');
+
+// Usage: node scripts/coverage-report.js [--status missing,non-national,stale]
+//        [--stale-months N] [--json | --markdown]
+//
+// Compares data/certs.json with the ISO 3166-1 list in data/countries.json
+// and prints the countries without a listed CERT, with only non-national
+// teams, or with entries due for re-verification, most urgent first.
+// --markdown prints the same list as a checklist to paste into an issue;
+// --json prints the full report as served by /api/coverage.
+
+const DATA_PATH = path.join(__dirname, '../data/certs.json');
+const COUNTRIES_PATH = path.join(__dirname, '../data/countries.json');
+
+// Everything except "covered" is a gap
+const GAP_STATUSES = CERTCoverage.STATUSES.filter(status => status !== 'covered');
+
+const ICONS = { missing: '🔴', 'non-national': '🟠', stale: '🟡', covered: '🟢' };
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// What a contributor should do about a country
+function describeGap(row) {
+  switch (row.status) {
+  case 'missing':
+    return 'no listed CERT';
+  case 'non-national':
+    return `no national CERT (${row.entries.map(entry => `${entry.id}, ${entry.sector}`).join('; ')})`;
+  case 'stale':
+    return `re-verify ${row.entries
+      .filter(entry => entry.stale)
+      .map(entry => `${entry.id} (${entry.lastVerified ? `last verified ${entry.lastVerified}` : 'never verified'})`)
+      .join(', ')}`;
+  default:
+    return `${row.teams} team(s)`;
+  }
+}
+
+function printReport(report, rows) {
+  const { totals } = report;
+
+  console.log('🗺️  CERT coverage report');
+  console.log(`   ${totals.countries} countries · ${totals.covered} covered · ${totals.missing} missing · ` +
+    `${totals['non-national']} without a national CERT · ${totals.stale} stale`);
+  if (report.otherTeams > 0) {
+    console.log(`   ${report.otherTeams} team(s) serve a constituency rather than a single country`);
+  }
+  console.log('');
+
+  if (rows.length === 0) {
+    console.log('✅ No coverage gaps');
+    return;
+  }
+
+  rows.forEach((row, index) => {
+    console.log(`${String(index + 1).padStart(4)}. ${ICONS[row.status]} ${row.country} (${row.code}): ${describeGap(row)}`);
+  });
+}
+
+function toMarkdown(report, rows) {
+  const headings = {
+    missing: 'Countries without a listed CERT',
+    'non-national': 'Countries without a national CERT',
+    stale: 'Countries with stale entries',
+    covered: 'Covered countries'
+  };
+
+  const sections = CERTCoverage.STATUSES
+    .map(status => [status, rows.filter(row => row.status === status)])
+    .filter(([, sectionRows]) => sectionRows.length > 0)
+    .map(([status, sectionRows]) => [
+      `## ${ICONS[status]} ${headings[status]} (${sectionRows.length})`,
+      '',
+      ...sectionRows.map(row => `- [ ] ${row.country} (\`${row.code}\`): ${describeGap(row)}`),
+      ''
+    ].join('\n'));
+
+  return [
+    '# CERT coverage gaps',
+    '',
+    `Generated ${report.generatedAt.slice(0, 10)}; entries count as stale after ${report.staleAfterMonths} months.`,
+    '',
+    ...sections
+  ].join('\n');
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  let statuses = GAP_STATUSES;
+  let staleAfterMonths = Number(process.env.STALE_AFTER_MONTHS) || CERTFilters.STALE_AFTER_MONTHS;
+  let format = 'text';
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--status') {
+      statuses = CERTFilters.parseList(args[++i]);
+    } else if (args[i] === '--stale-months') {
+      staleAfterMonths = Number(args[++i]);
+    } else if (args[i] === '--json') {
+      format = 'json';
+    } else if (args[i] === '--markdown') {
+      format = 'markdown';
+    }
+  }
+
+  const unknown = statuses.filter(status => !CERTCoverage.STATUSES.includes(status));
+  if (unknown.length > 0 || !Number.isInteger(staleAfterMonths) || staleAfterMonths < 1) {
+    console.error('Usage: node scripts/coverage-report.js [--status missing,non-national,stale] [--stale-months N] [--json | --markdown]');
+    console.error(`       statuses: ${CERTCoverage.STATUSES.join(', ')}`);
+    process.exit(1);
+  }
+
+  const report = CERTCoverage.report(readJson(DATA_PATH), readJson(COUNTRIES_PATH).countries, { staleAfterMonths });
+  const rows = report.countries.filter(row => statuses.includes(row.status));
+
+  if (format === 'json') {
+    console.log(JSON.stringify({ ...report, countries: rows }, null, 2));
+  } else if (format === 'markdown') {
+    console.log(toMarkdown(report, rows));
+  } else {
+    printReport(report, rows);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { describeGap, toMarkdown };
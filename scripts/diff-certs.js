@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { diffCerts, describe } = require('../lambda/cert-diff');
+
+// Usage: node scripts/diff-certs.js <old-certs.json> [new-certs.json] [--write] [--date YYYY-MM-DD]
+//        node scripts/diff-certs.js --from-git <rev> [--write] [--date YYYY-MM-DD]
+//
+// Compares two versions of certs.json and prints the entries that were
+// added, removed, renamed or changed, field by field. The new version
+// defaults to the working copy. With --write the records are prepended
+// to data/changes.json (newest first), which feeds /api/changes and the
+// "Recently updated" section.
+
+const DATA_PATH = path.join(__dirname, '../data/certs.json');
+const CHANGES_PATH = path.join(__dirname, '../data/changes.json');
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function readFromGit(rev) {
+  const output = execFileSync('git', ['show', `${rev}:data/certs.json`], {
+    cwd: path.join(__dirname, '..'),
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'ignore']
+  });
+  return JSON.parse(output);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const files = [];
+  let rev = null;
+  let date = new Date().toISOString().slice(0, 10);
+  let write = false;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--from-git') {
+      rev = args[++i];
+    } else if (args[i] === '--date') {
+      date = args[++i];
+    } else if (args[i] === '--write') {
+      write = true;
+    } else {
+      files.push(args[i]);
+    }
+  }
+
+  if ((!rev && files.length === 0) || !/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+    console.error('Usage: node scripts/diff-certs.js <old-certs.json> [new-certs.json] [--write] [--date YYYY-MM-DD]');
+    console.error('       node scripts/diff-certs.js --from-git <rev> [--write] [--date YYYY-MM-DD]');
+    process.exit(1);
+  }
+
+  let before;
+  try {
+    before = rev ? readFromGit(rev) : readJson(files[0]);
+  } catch (error) {
+    console.error(`❌ Could not read the old version: ${error.message}`);
+    process.exit(1);
+  }
+
+  const newFile = rev ? (files[0] || DATA_PATH) : (files[1] || DATA_PATH);
+  const records = diffCerts(before, readJson(newFile), date);
+
+  console.log(`🔀 Comparing ${rev ? `${rev}:data/certs.json` : files[0]} with ${path.relative(process.cwd(), newFile)}`);
+
+  if (records.length === 0) {
+    console.log('✅ No changes');
+    return;
+  }
+
+  const icons = { added: '➕', removed: '➖', renamed: '🔁', changed: '✏️ ' };
+  records.forEach(record => {
+    console.log(`${icons[record.type]} ${record.id} (${record.name}): ${record.type}`);
+    record.changes.forEach(change => console.log(`    • ${describe(change)}`));
+  });
+
+  if (write) {
+    const existing = fs.existsSync(CHANGES_PATH) ? readJson(CHANGES_PATH) : [];
+    fs.writeFileSync(CHANGES_PATH, JSON.stringify([...records, ...existing], null, 2) + '\n');
+    console.log(`💾 Added ${records.length} record(s) to data/changes.json`);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { diffCerts };
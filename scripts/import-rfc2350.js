@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+
+// Usage: node scripts/import-rfc2350.js <rfc2350.txt> [--id <cert-id> --write]
+//        node scripts/import-rfc2350.js --test
+//
+// Parses a team's published RFC 2350 description (the section layout of
+// RFC 2350 Appendix D) into the optional "profile" object of certs.json.
+// Without --write the profile is printed for review; with --write it is
+// merged into the entry with the given id. --test parses the sample
+// documents in tests/fixtures/rfc2350 and compares them with expected.json.
+
+const DATA_PATH = path.join(__dirname, '../data/certs.json');
+const TEST_DIR = path.join(__dirname, '../tests/fixtures/rfc2350');
+
+// Section titles (lowercased) mapped to the profile field they feed
+const SECTION_FIELDS = [
+  { pattern: /locations? where this document/, field: 'rfc2350Url' },
+  { pattern: /time ?zone/, field: 'timezone' },
+  { pattern: /languages?/, field: 'languages' },
+  { pattern: /points? of customer contact|hours/, field: 'hoursOfOperation' },
+  { pattern: /constituency/, field: 'constituency' },
+  { pattern: /authority/, field: 'authority' },
+  { pattern: /disclosure/, field: 'disclosurePolicy' },
+  { pattern: /incident reporting/, field: 'reportingUrl' }
+];
+
+// Numbered like RFC 2350 ("2.", "2.1", "2.1."), so body lines such as
+// "1049 Brussels" or a wrapped "24 hours a day" are not taken for headings
+const HEADING_PATTERN = /^\s*(\d+\.(?:\d+\.?)*)\s+([A-Za-z][^\n]{1,80}?)\s*$/;
+const URL_PATTERN = /https:\/\/[^\s<>"')\]]+/;
+// Teams without a languages section often put "Languages: ..." under "Other Information"
+const INLINE_LANGUAGES_PATTERN = /^\s*languages?\s*:\s*(.+)$/im;
+
+function splitSections(text) {
+  const sections = [];
+  let current = null;
+
+  text.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+    const heading = line.match(HEADING_PATTERN);
+
+    if (heading) {
+      current = { number: heading[1].replace(/\.$/, ''), title: heading[2].trim(), lines: [] };
+      sections.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    }
+  });
+
+  return sections.map(section => ({
+    number: section.number,
+    title: section.title,
+    body: section.lines.join('\n').trim()
+  }));
+}
+
+function collapse(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function firstUrl(text) {
+  const match = text.match(URL_PATTERN);
+  return match ? match[0].replace(/[.,;]+$/, '') : null;
+}
+
+// Prefer the sentence that actually states the hours, e.g. "24/7" or "09:00-17:00"
+function extractHours(text) {
+  const sentences = collapse(text).split(/(?<=\.)\s+/);
+  const hours = sentences.find(sentence =>
+    /24\s*[/x]\s*7|\d{1,2}[:.]\d{2}|\bhours\b|business days|office hours/i.test(sentence)
+  );
+  return hours || null;
+}
+
+function extractLanguages(text) {
+  return collapse(text)
+    .replace(/\.$/, '')
+    .split(/,|;|\band\b|\//)
+    .map(language => language.replace(/^(the\s+)?(team\s+)?(speaks?|languages?:?)\s+/i, '').trim())
+    .filter(language => language && language.length <= 40);
+}
+
+function parseRfc2350(text) {
+  const sections = splitSections(text);
+  const profile = {};
+
+  sections.forEach(section => {
+    const title = section.title.toLowerCase();
+    const rule = SECTION_FIELDS.find(({ pattern }) => pattern.test(title));
+
+    if (!rule || !section.body || profile[rule.field]) {
+      return;
+    }
+
+    switch (rule.field) {
+    case 'rfc2350Url':
+    case 'reportingUrl': {
+      const url = firstUrl(section.body);
+      if (url) profile[rule.field] = url;
+      break;
+    }
+    case 'languages':
+      profile.languages = extractLanguages(section.body);
+      break;
+    case 'hoursOfOperation': {
+      const hours = extractHours(section.body);
+      if (hours) profile.hoursOfOperation = hours;
+      break;
+    }
+    default:
+      profile[rule.field] = collapse(section.body);
+    }
+  });
+
+  if (!profile.languages) {
+    const inline = text.match(INLINE_LANGUAGES_PATTERN);
+    if (inline) profile.languages = extractLanguages(inline[1]);
+  }
+
+  // Every direct subsection of "5 Services" names a service the team offers; 5.1.1 and below detail one
+  const services = sections
+    .filter(section => /^5\.\d+$/.test(section.number))
+    .map(section => collapse(section.title));
+
+  if (services.length > 0) {
+    profile.services = services;
+  }
+
+  return profile;
+}
+
+// Mismatches between each sample document's profile and expected.json
+function checkFixtures(dir = TEST_DIR) {
+  const expected = JSON.parse(fs.readFileSync(path.join(dir, 'expected.json'), 'utf8'));
+
+  return Object.entries(expected).flatMap(([file, fields]) => {
+    const profile = parseRfc2350(fs.readFileSync(path.join(dir, file), 'utf8'));
+
+    return Object.keys(fields)
+      .filter(field => JSON.stringify(profile[field]) !== JSON.stringify(fields[field]))
+      .map(field => `${file}: ${field} is ${JSON.stringify(profile[field])}, expected ${JSON.stringify(fields[field])}`);
+  });
+}
+
+function runTests() {
+  console.log(`🧪 Parsing RFC 2350 fixtures in ${path.relative(process.cwd(), TEST_DIR)}...`);
+
+  const failures = checkFixtures();
+  failures.forEach(failure => console.error(`❌ ${failure}`));
+
+  if (failures.length > 0) {
+    console.error(`\n❌ ${failures.length} unexpected result(s)`);
+    process.exit(1);
+  }
+
+  console.log('✅ RFC 2350 fixtures gave the expected profiles');
+}
+
+function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--test')) {
+    runTests();
+    return;
+  }
+
+  let file = null;
+  let id = null;
+  let write = false;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--id') {
+      id = args[++i];
+    } else if (args[i] === '--write') {
+      write = true;
+    } else {
+      file = args[i];
+    }
+  }
+
+  if (!file) {
+    console.error('Usage: node scripts/import-rfc2350.js <rfc2350.txt> [--id <cert-id> --write]');
+    process.exit(1);
+  }
+
+  console.log(`📄 Parsing RFC 2350 document: ${file}`);
+
+  const profile = parseRfc2350(fs.readFileSync(file, 'utf8'));
+  const fieldCount = Object.keys(profile).length;
+
+  if (fieldCount === 0) {
+    console.error('❌ No RFC 2350 sections recognised');
+    process.exit(1);
+  }
+
+  console.log(`✅ Extracted ${fieldCount} profile field(s)`);
+  console.log(JSON.stringify({ profile }, null, 2));
+
+  if (!write) {
+    return;
+  }
+
+  if (!id) {
+    console.error('❌ --write requires --id <cert-id>');
+    process.exit(1);
+  }
+
+  const certs = JSON.parse(fs.readFileSync(DATA_PATH, 'utf8'));
+  const cert = certs.find(entry => entry.id === id);
+
+  if (!cert) {
+    console.error(`❌ No CERT with id "${id}" in certs.json`);
+    process.exit(1);
+  }
+
+  cert.profile = { ...cert.profile, ...profile };
+  fs.writeFileSync(DATA_PATH, JSON.stringify(certs, null, 2) + '\n');
+  console.log(`💾 Updated profile for ${cert.name}; run npm run validate-json and review the diff`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { parseRfc2350, checkFixtures };
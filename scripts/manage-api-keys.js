@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+const { ROLES, keysFile, generateKey, loadKeys, saveKeys } = require('../lambda/auth');
+
+// Usage: node scripts/manage-api-keys.js create --name <name> --role reader|contributor|maintainer
+//        node scripts/manage-api-keys.js list
+//        node scripts/manage-api-keys.js revoke <key id>
+//
+// Manages the API keys in API_KEYS_FILE (default .api-keys.json), the file
+// the API reads. create prints the new key once; only its SHA-256 hash is
+// stored, so a lost key is revoked and replaced, never recovered.
+
+function parseArgs(args) {
+  const options = { positional: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      options[args[i].slice(2)] = args[++i];
+    } else {
+      options.positional.push(args[i]);
+    }
+  }
+
+  return options;
+}
+
+function create(options) {
+  const keys = loadKeys();
+  const { key, record } = generateKey();
+
+  saveKeys([...keys, {
+    ...record,
+    name: options.name,
+    role: options.role,
+    createdAt: new Date().toISOString(),
+    revokedAt: null
+  }]);
+
+  console.log(`🔑 Created ${options.role} key ${record.id} for ${options.name} in ${keysFile()}`);
+  console.log('');
+  console.log(`   ${key}`);
+  console.log('');
+  console.log('   This is the only time the key is shown; send it as "Authorization: Bearer <key>"');
+}
+
+function list() {
+  const keys = loadKeys();
+
+  console.log(`🔑 ${keys.length} API key(s) in ${keysFile()}`);
+  keys.forEach(record => {
+    const state = record.revokedAt ? `revoked ${record.revokedAt.slice(0, 10)}` : 'active';
+    console.log(`   ${record.id}  ${record.role.padEnd(11)}  ${record.name}  (created ${record.createdAt.slice(0, 10)}, ${state})`);
+  });
+}
+
+function revoke(id) {
+  const keys = loadKeys();
+  const record = keys.find(entry => entry.id === id);
+
+  if (!record || record.revokedAt) {
+    console.error(record ? `❌ ${id} was already revoked on ${record.revokedAt.slice(0, 10)}` : `❌ No API key ${id}`);
+    process.exit(1);
+  }
+
+  saveKeys(keys.map(entry => (entry === record ? { ...entry, revokedAt: new Date().toISOString() } : entry)));
+  console.log(`🗑️  Revoked ${id} (${record.name})`);
+}
+
+function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const options = parseArgs(rest);
+
+  if (command === 'create' && options.name && ROLES.includes(options.role)) {
+    create(options);
+  } else if (command === 'list') {
+    list();
+  } else if (command === 'revoke' && options.positional[0]) {
+    revoke(options.positional[0]);
+  } else {
+    console.error(`Usage: node scripts/manage-api-keys.js create --name <name> --role ${ROLES.join('|')}`);
+    console.error('       node scripts/manage-api-keys.js list');
+    console.error('       node scripts/manage-api-keys.js revoke <key id>');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { parseArgs };
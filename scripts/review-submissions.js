@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const schema = require('../data/cert.schema.json');
+const { validate, formatError } = require('../lambda/schema-validator');
+const { SUBMISSION_STATUSES, applySubmission } = require('../lambda/submissions');
+const { createStore } = require('../lambda/submission-store');
+const { diffCerts, describe } = require('../lambda/cert-diff');
+
+// Usage: node scripts/review-submissions.js list [--status pending|approved|rejected|all]
+//        node scripts/review-submissions.js show <id>
+//        node scripts/review-submissions.js approve <id> --by <name> [--source-type <type> --source-url <url>] [--write]
+//        node scripts/review-submissions.js reject <id> --by <name> --reason <text>
+//
+// Works through the queue filled by POST /api/submissions, using the store
+// selected by SUBMISSION_STORE / SUBMISSIONS_DIR like the API. approve shows
+// the field-level patch to data/certs.json; with --write it applies it,
+// marks the entry verified by the reviewer against the cited source (the
+// submitter's, unless --source-type/--source-url name the one you checked)
+// and closes the submission.
+
+const DATA_PATH = path.join(__dirname, '../data/certs.json');
+const RETIRED_IDS_PATH = path.join(__dirname, '../data/retired-ids.json');
+
+function readCerts() {
+  return JSON.parse(fs.readFileSync(DATA_PATH, 'utf8'));
+}
+
+// New entries may not reuse these ids
+function readRetiredIds() {
+  return fs.existsSync(RETIRED_IDS_PATH) ? JSON.parse(fs.readFileSync(RETIRED_IDS_PATH, 'utf8')) : [];
+}
+
+function parseArgs(args) {
+  const options = { positional: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--write') {
+      options.write = true;
+    } else if (args[i].startsWith('--')) {
+      options[args[i].slice(2).replace(/-([a-z])/g, (_, letter) => letter.toUpperCase())] = args[++i];
+    } else {
+      options.positional.push(args[i]);
+    }
+  }
+
+  return options;
+}
+
+function summarize(record) {
+  const who = record.submitter.name || record.submitter.email || 'anonymous';
+  return `${record.id}  ${record.status.padEnd(8)}  ${record.type.padEnd(10)}  ${record.certId}  (${who}, ${record.createdAt.slice(0, 10)})`;
+}
+
+function printPatch(before, after, date) {
+  const records = diffCerts(before, after, date);
+
+  records.forEach(record => {
+    console.log(`   ${record.type === 'added' ? '➕' : '✏️ '} ${record.id} (${record.name}): ${record.type}`);
+    record.changes.forEach(change => console.log(`      • ${describe(change)}`));
+  });
+}
+
+async function list(store, options) {
+  const status = options.status || 'pending';
+  const records = await store.list({ status: status === 'all' ? undefined : status });
+
+  console.log(`📬 ${records.length} ${status === 'all' ? '' : `${status} `}submission(s)`);
+  records.forEach(record => console.log(`   ${summarize(record)}`));
+}
+
+async function show(store, id) {
+  const record = await store.get(id);
+  if (!record) {
+    console.error(`❌ No submission ${id}`);
+    process.exit(1);
+  }
+
+  console.log(JSON.stringify(record, null, 2));
+
+  if (record.status === 'pending') {
+    const certs = readCerts();
+    const today = new Date().toISOString().slice(0, 10);
+    console.log('\n🩹 Patch if approved:');
+    let result;
+    try {
+      result = applySubmission(certs, readRetiredIds(), record, { by: '<reviewer>', date: today });
+    } catch (error) {
+      console.log(`   ❌ Cannot be approved: ${error.message}`);
+      return;
+    }
+    printPatch(certs, result.certs, today);
+  }
+}
+
+async function approve(store, id, options) {
+  const record = await store.get(id);
+
+  if (!record || record.status !== 'pending' || !options.by) {
+    console.error(record
+      ? (record.status !== 'pending' ? `❌ ${id} is already ${record.status}` : '❌ Approving needs --by <name>')
+      : `❌ No submission ${id}`);
+    process.exit(1);
+  }
+
+  const source = options.sourceUrl
+    ? { type: options.sourceType || record.source.type, url: options.sourceUrl }
+    : record.source;
+  const date = new Date().toISOString().slice(0, 10);
+  const before = readCerts();
+
+  let result;
+  try {
+    result = applySubmission(before, readRetiredIds(), record, { by: options.by, source, date });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  // The citation may have been overridden, so check the whole file again
+  const errors = validate(schema, result.certs);
+  if (errors.length > 0) {
+    console.error(`❌ Approving ${id} would make certs.json invalid:`);
+    errors.forEach(error => console.error(`   • ${formatError(error)}`));
+    process.exit(1);
+  }
+
+  console.log(`🩹 ${record.type === 'new' ? 'Adding' : 'Correcting'} ${result.cert.id}, verified by ${options.by} against ${source.url}:`);
+  printPatch(before, result.certs, date);
+
+  if (!options.write) {
+    console.log('\nℹ️  Dry run; add --write to update data/certs.json and close the submission');
+    return;
+  }
+
+  fs.writeFileSync(DATA_PATH, JSON.stringify(result.certs, null, 2) + '\n');
+  await store.update(id, {
+    status: 'approved',
+    review: { by: options.by, at: new Date().toISOString(), source }
+  });
+
+  console.log(`💾 Updated data/certs.json and approved ${id}`);
+  console.log('   Next: npm run diff-certs -- --from-git HEAD --write, then commit with the source in the message');
+}
+
+async function reject(store, id, options) {
+  const record = await store.get(id);
+
+  if (!record || record.status !== 'pending' || !options.by || !options.reason) {
+    console.error(record
+      ? (record.status !== 'pending' ? `❌ ${id} is already ${record.status}` : '❌ Rejecting needs --by <name> and --reason <text>')
+      : `❌ No submission ${id}`);
+    process.exit(1);
+  }
+
+  await store.update(id, {
+    status: 'rejected',
+    review: { by: options.by, at: new Date().toISOString(), reason: options.reason }
+  });
+
+  console.log(`🗑️  Rejected ${id}: ${options.reason}`);
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const options = parseArgs(rest);
+  const id = options.positional[0];
+  const store = createStore();
+
+  if (command === 'list' && (!options.status || options.status === 'all' || SUBMISSION_STATUSES.includes(options.status))) {
+    await list(store, options);
+  } else if (command === 'show' && id) {
+    await show(store, id);
+  } else if (command === 'approve' && id) {
+    await approve(store, id, options);
+  } else if (command === 'reject' && id) {
+    await reject(store, id, options);
+  } else {
+    console.error('Usage: node scripts/review-submissions.js list [--status pending|approved|rejected|all]');
+    console.error('       node scripts/review-submissions.js show <id>');
+    console.error('       node scripts/review-submissions.js approve <id> --by <name> [--source-type <type> --source-url <url>] [--write]');
+    console.error('       node scripts/review-submissions.js reject <id> --by <name> --reason <text>');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs };
@@ -149,11 +149,18 @@ async function runSmokeTests() {
     { path: '/api/stats', description: 'API - Get statistics' },
     { path: '/api/countries', description: 'API - Get countries' },
     { path: '/api/sectors', description: 'API - Get sectors' },
+    { path: '/api/coverage', description: 'API - Coverage gaps' },
     { path: '/health', description: 'Health check endpoint' },
     
     // API with parameters
     { path: '/api/certs?search=germany', description: 'API - Search functionality' },
     { path: '/api/certs?sector=Government', description: 'API - Filter by sector' },
+    { path: '/api/certs?limit=5&sort=name&order=desc', description: 'API - Pagination and sorting' },
+    { path: '/api/certs?fields=name,email,emergencyContact', description: 'API - Field selection' },
+    { path: '/api/certs?format=vcf', description: 'API - vCard export' },
+    { path: '/api/certs?stale=true', description: 'API - Stale entries' },
+    { path: '/api/changes?format=atom', description: 'API - Change feed' },
+    { path: '/api/coverage?status=missing&lang=fr', description: 'API - Missing countries in French' },
     
     // 404 handling
     { path: '/nonexistent-page', expectedStatus: 200, description: 'SPA routing (should return index.html)' }
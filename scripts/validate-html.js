@@ -29,7 +29,7 @@ function validateHtmlFile(filePath, fileName) {
             
             // CERTopedia specific checks
             hasCertopediaTitle: content.includes('CERTopedia'),
-            hasMainScript: content.includes('main.js') || content.includes('main.min.js'),
+            hasMainScript: content.includes('main.js') || content.includes('main.min.js') || content.includes('api-reference.js'),
             hasStylesheet: content.includes('styles.css') || content.includes('styles.min.css'),
             hasFavicon: content.includes('favicon.svg'),
             hasMetaDescription: content.includes('meta name="description"')
@@ -119,6 +119,14 @@ function main() {
         {
             path: path.join(__dirname, '../dist/index.html'),
             name: 'Built index.html'
+        },
+        {
+            path: path.join(__dirname, '../api.html'),
+            name: 'Source api.html'
+        },
+        {
+            path: path.join(__dirname, '../dist/api.html'),
+            name: 'Built api.html'
         }
     ];
     
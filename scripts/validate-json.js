@@ -2,88 +2,89 @@
 
 const fs = require('fs');
 const path = require('path');
+const CERTFilters = require('../assets/js/filters');
+const CERTContacts = require('../assets/js/contacts');
+const CERTCountries = require('../assets/js/countries');
 
 console.log('🔍 Validating JSON data...');
 
-// Required fields for each CERT entry
-const requiredFields = [
-  'country',
-  'name', 
-  'fullName',
-  'website',
-  'emergencyContact',
-  'email',
-  'established',
-  'description',
-  'sector',
-  'pgpKey',
-  'verified',
-  'lastUpdated'
-];
+// Staleness policy: entries not re-verified within --stale-months months
+// (default STALE_AFTER_MONTHS env var, then 12) are reported; --strict fails on them
+const args = process.argv.slice(2);
+const staleMonthsIndex = args.indexOf('--stale-months');
+const staleAfterMonths = Number(staleMonthsIndex !== -1 ? args[staleMonthsIndex + 1] : process.env.STALE_AFTER_MONTHS) ||
+  CERTFilters.STALE_AFTER_MONTHS;
+const strict = args.includes('--strict');
 
-const validSectors = ['Government', 'National', 'Academic', 'Commercial'];
+// The entry format lives in data/cert.schema.json; this script adds the
+// checks a schema cannot express (ordering, uniqueness, dates in the past)
+const schema = require('../data/cert.schema.json');
+const { validate, formatError } = require('../lambda/schema-validator');
+const { compareCountries, insertByCountry } = require('../lambda/submissions');
+const { countries } = require('../data/countries.json');
 
-function validateCertEntry(cert, index) {
-  const errors = [];
+// Stable identifiers are lowercase slugs, e.g. "cert-fr" or "jpcert-cc"
+const ID_PATTERN = new RegExp(schema.$defs.id.pattern);
+
+// Group schema errors by entry, keyed on the index in each pointer ("/4/pgpKey/keyId")
+function validateSchema(certs) {
+  const errorsByEntry = new Map();
   
-  // Check required fields
-  requiredFields.forEach(field => {
-    if (!cert.hasOwnProperty(field) || cert[field] === null || cert[field] === undefined) {
-      errors.push(`Missing required field: ${field}`);
+  validate(schema, certs).forEach(error => {
+    const index = Number(error.pointer.split('/')[1]);
+    if (!errorsByEntry.has(index)) {
+      errorsByEntry.set(index, []);
     }
+    errorsByEntry.get(index).push(formatError(error));
   });
   
-  // Validate specific fields
-  if (cert.country && typeof cert.country !== 'string') {
-    errors.push('Country must be a string');
-  }
-  
-  if (cert.name && typeof cert.name !== 'string') {
-    errors.push('Name must be a string');
-  }
-  
-  if (cert.website && !cert.website.startsWith('http')) {
-    errors.push('Website must be a valid URL starting with http/https');
-  }
-  
-  if (cert.email && !cert.email.includes('@')) {
-    errors.push('Email must be a valid email address');
-  }
+  return errorsByEntry;
+}
+
+function findStaleEntries(certs, maxMonths, now = new Date()) {
+  return certs
+    .filter(cert => CERTFilters.isStale(cert, maxMonths, now))
+    .map(cert => {
+      const verifiedAt = CERTFilters.lastVerified(cert);
+      const months = CERTFilters.monthsSince(verifiedAt, now);
+      return `${cert.id}: last verified ${verifiedAt || 'never'}${months === null ? '' : ` (${months} months ago)`}`;
+    });
+}
+
+function validateCertEntry(cert, index) {
+  const errors = [];
+  const verifiedAt = cert.verification && cert.verification.verifiedAt;
   
-  if (cert.sector && !validSectors.includes(cert.sector)) {
-    errors.push(`Sector must be one of: ${validSectors.join(', ')}`);
+  if (typeof verifiedAt === 'string' && new Date(verifiedAt) > new Date()) {
+    errors.push(`/${index}/verification/verifiedAt: cannot be in the future`);
   }
   
-  if (cert.verified !== true) {
-    errors.push('Verified field must be true');
+  // Flags are derived from the code, so an unknown code would show the wrong flag
+  if (typeof cert.countryCode === 'string' && !CERTCountries.isKnownCode(cert.countryCode, countries)) {
+    errors.push(`/${index}/countryCode: "${cert.countryCode}" is not an ISO 3166-1 alpha-2 code or a constituency code (${Object.keys(CERTCountries.CONSTITUENCIES).join(', ')})`);
   }
   
-  // Validate PGP key structure
-  if (cert.pgpKey) {
-    if (typeof cert.pgpKey.available !== 'boolean') {
-      errors.push('pgpKey.available must be a boolean');
-    }
-    
-    if (cert.pgpKey.available === true) {
-      if (!cert.pgpKey.keyId || typeof cert.pgpKey.keyId !== 'string') {
-        errors.push('pgpKey.keyId must be a string when available is true');
-      }
-    } else {
-      if (cert.pgpKey.keyId !== null) {
-        errors.push('pgpKey.keyId should be null when available is false');
-      }
-      if (cert.pgpKey.fingerprint !== null) {
-        errors.push('pgpKey.fingerprint should be null when available is false');
-      }
+  // The display form has to dial the same number as the E.164 form
+  const phones = Array.isArray(cert.phones) ? cert.phones : [];
+  phones.forEach((phone, phoneIndex) => {
+    if (phone && typeof phone.display === 'string' && CERTContacts.E164_PATTERN.test(phone.number) &&
+      !CERTContacts.displayMatchesNumber(phone)) {
+      errors.push(`/${index}/phones/${phoneIndex}/display: "${phone.display}" does not dial ${phone.number}`);
     }
+  });
+  
+  // emergencyContact mirrors the primary number for consumers that predate phones
+  const primary = CERTContacts.primaryPhone(cert);
+  const expectedContact = primary ? primary.display : 'Email only';
+  if (typeof cert.emergencyContact === 'string' && cert.emergencyContact !== expectedContact) {
+    errors.push(`/${index}/emergencyContact: must be "${expectedContact}" to match phones`);
   }
   
-  // Validate date format
-  if (cert.lastUpdated) {
-    const date = new Date(cert.lastUpdated);
-    if (isNaN(date.getTime())) {
-      errors.push('lastUpdated must be a valid ISO date string');
-    }
+  // email stays the primary address, so it has to be one of the listed channels
+  const contacts = Array.isArray(cert.contacts) ? cert.contacts : [];
+  if (typeof cert.email === 'string' && contacts.length > 0 &&
+    !contacts.some(contact => contact && contact.channel === 'email' && contact.value === cert.email)) {
+    errors.push(`/${index}/email: "${cert.email}" must also be listed in contacts`);
   }
   
   return errors;
@@ -91,7 +92,7 @@ function validateCertEntry(cert, index) {
 
 function validateAlphabeticalOrder(certs) {
   const countries = certs.map(cert => cert.country);
-  const sortedCountries = [...countries].sort();
+  const sortedCountries = [...countries].sort(compareCountries);
   
   for (let i = 0; i < countries.length; i++) {
     if (countries[i] !== sortedCountries[i]) {
@@ -105,6 +106,17 @@ function validateAlphabeticalOrder(certs) {
   return { valid: true };
 }
 
+// Approved submissions and API writes place entries with insertByCountry;
+// each country name with diacritics has to land where the order check expects it
+function validatePlacement(certs) {
+  return Object.values(countries)
+    .filter(name => /[^\x00-\x7f]/.test(name))
+    .flatMap(country => {
+      const check = validateAlphabeticalOrder(insertByCountry(certs, { country }));
+      return check.valid ? [] : [`Inserting "${country}": ${check.error}`];
+    });
+}
+
 function validateUniqueEntries(certs) {
   const seen = new Set();
   const duplicates = [];
@@ -121,6 +133,88 @@ function validateUniqueEntries(certs) {
   return duplicates;
 }
 
+function validateIdentifiers(certs, retiredIds) {
+  const errors = [];
+  const owners = new Map();
+  
+  // IDs and aliases share one namespace so an old ID can never be handed to another team
+  certs.forEach((cert, index) => {
+    const claimed = [cert.id, ...(Array.isArray(cert.aliases) ? cert.aliases : [])].filter(Boolean);
+    
+    claimed.forEach(id => {
+      if (owners.has(id)) {
+        errors.push(`ID "${id}" at index ${index} is already used by entry ${owners.get(id) + 1}`);
+      } else {
+        owners.set(id, index);
+      }
+    });
+  });
+  
+  // Retired IDs belong to removed entries and must never be reused
+  retiredIds.forEach(retired => {
+    if (owners.has(retired.id)) {
+      errors.push(`ID "${retired.id}" was retired on ${retired.retiredOn} and cannot be reused (entry ${owners.get(retired.id) + 1})`);
+    }
+  });
+  
+  return errors;
+}
+
+function loadRetiredIds() {
+  const retiredPath = path.join(__dirname, '../data/retired-ids.json');
+  
+  if (!fs.existsSync(retiredPath)) {
+    return [];
+  }
+  
+  const retired = JSON.parse(fs.readFileSync(retiredPath, 'utf8'));
+  if (!Array.isArray(retired)) {
+    throw new Error('retired-ids.json must be an array');
+  }
+  
+  return retired;
+}
+
+// data/changes.json is written by diff-certs.js; catch hand edits that would break the feed
+function validateChanges() {
+  const changesPath = path.join(__dirname, '../data/changes.json');
+  const changeTypes = ['added', 'removed', 'renamed', 'changed'];
+  const errors = [];
+  
+  if (!fs.existsSync(changesPath)) {
+    return errors;
+  }
+  
+  const changes = JSON.parse(fs.readFileSync(changesPath, 'utf8'));
+  if (!Array.isArray(changes)) {
+    return ['changes.json must be an array'];
+  }
+  
+  changes.forEach((record, index) => {
+    const label = `changes.json[${index}]`;
+    
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(record.date || '')) {
+      errors.push(`${label}.date must be in YYYY-MM-DD format`);
+    } else if (index > 0 && record.date > changes[index - 1].date) {
+      errors.push(`${label} is newer than the record before it (newest first)`);
+    }
+    if (typeof record.id !== 'string' || !ID_PATTERN.test(record.id)) {
+      errors.push(`${label}.id must be an entry ID`);
+    }
+    if (typeof record.name !== 'string' || !record.name) {
+      errors.push(`${label}.name is required`);
+    }
+    if (!changeTypes.includes(record.type)) {
+      errors.push(`${label}.type must be one of: ${changeTypes.join(', ')}`);
+    }
+    if (!Array.isArray(record.changes) || record.changes.some(change => !change || typeof change.field !== 'string')) {
+      errors.push(`${label}.changes must be a list of { field, from, to }`);
+    }
+  });
+  
+  return errors;
+}
+
 try {
   const dataPath = path.join(__dirname, '../data/certs.json');
   
@@ -145,13 +239,14 @@ try {
     process.exit(1);
   }
   
-  console.log(`📊 Validating ${certs.length} CERT entries...`);
+  console.log(`📊 Validating ${certs.length} CERT entries against cert.schema.json v${schema.version}...`);
   
   let totalErrors = 0;
   
   // Validate individual entries
+  const schemaErrors = validateSchema(certs);
   certs.forEach((cert, index) => {
-    const errors = validateCertEntry(cert, index);
+    const errors = [...(schemaErrors.get(index) || []), ...validateCertEntry(cert, index)];
     if (errors.length > 0) {
       console.error(`❌ Entry ${index + 1} (${cert.country || 'Unknown'} - ${cert.name || 'Unknown'}):`);
       errors.forEach(error => console.error(`   • ${error}`));
@@ -164,6 +259,10 @@ try {
   if (!orderCheck.valid) {
     console.error(`❌ Order Error: ${orderCheck.error}`);
     totalErrors++;
+  } else {
+    const placementErrors = validatePlacement(certs);
+    placementErrors.forEach(error => console.error(`❌ Placement Error: ${error}`));
+    totalErrors += placementErrors.length;
   }
   
   // Validate unique entries
@@ -174,6 +273,33 @@ try {
     totalErrors += duplicates.length;
   }
   
+  // Validate stable identifiers
+  const idErrors = validateIdentifiers(certs, loadRetiredIds());
+  if (idErrors.length > 0) {
+    console.error('❌ Identifier Errors:');
+    idErrors.forEach(error => console.error(`   • ${error}`));
+    totalErrors += idErrors.length;
+  }
+  
+  // Validate change history
+  const changeErrors = validateChanges();
+  if (changeErrors.length > 0) {
+    console.error('❌ Change History Errors:');
+    changeErrors.forEach(error => console.error(`   • ${error}`));
+    totalErrors += changeErrors.length;
+  }
+  
+  // Report entries overdue for re-verification
+  const staleEntries = findStaleEntries(certs, staleAfterMonths);
+  if (staleEntries.length > 0) {
+    const report = strict ? console.error : console.warn;
+    report(`${strict ? '❌' : '⚠️ '} Stale Entries (not re-verified within ${staleAfterMonths} months):`);
+    staleEntries.forEach(entry => report(`   • ${entry}`));
+    if (strict) {
+      totalErrors += staleEntries.length;
+    }
+  }
+  
   // Summary
   if (totalErrors === 0) {
     console.log('✅ All JSON data is valid!');
@@ -186,8 +312,35 @@ try {
       return acc;
     }, {});
     
+    const withProfile = certs.filter(c => c.profile).length;
+    const emailOnly = certs.filter(c => CERTContacts.isEmailOnly(c)).length;
+    const withReporting = certs.filter(c => c.contacts.some(contact => contact.type === 'incident-reporting')).length;
+    const hotlines = certs.filter(c => c.phones.some(phone => phone.type === 'hotline')).length;
+    
+    const statuses = certs.reduce((acc, cert) => {
+      acc[cert.verification.status] = (acc[cert.verification.status] || 0) + 1;
+      return acc;
+    }, {});
+    const crossValidated = certs.filter(c => c.verification.sources.length >= 2).length;
+    
+    console.log('🛡️  Verification:', Object.entries(statuses).map(([status, count]) => `${status}: ${count}`).join(', '));
+    console.log(`🔎 Cross-validated (2+ sources): ${crossValidated}/${certs.length}`);
     console.log(`🔐 PGP-enabled CERTs: ${pgpEnabled}/${certs.length}`);
+    console.log(`📞 24/7 hotlines: ${hotlines}/${certs.length} (email only: ${emailOnly})`);
+    console.log(`🚨 Dedicated incident-reporting channels: ${withReporting}/${certs.length}`);
+    console.log(`📄 RFC 2350 profiles: ${withProfile}/${certs.length}`);
+    const translated = certs.filter(c => c.translations && Object.keys(c.translations).length > 0).length;
+    console.log(`🌐 Entries with translations: ${translated}/${certs.length}`);
+    const confirmedBySecurityTxt = certs.filter(c => c.securityTxt && c.securityTxt.contactConfirmed).length;
+    console.log(`🔏 Contacts confirmed by security.txt: ${confirmedBySecurityTxt}/${certs.length}`);
+    console.log(`🕒 Stale entries (older than ${staleAfterMonths} months): ${staleEntries.length}/${certs.length}`);
+    const regions = certs.reduce((acc, cert) => {
+      acc[cert.region] = (acc[cert.region] || 0) + 1;
+      return acc;
+    }, {});
+    
     console.log('🏷️  Sectors:', Object.entries(sectors).map(([sector, count]) => `${sector}: ${count}`).join(', '));
+    console.log('🗺️  Regions:', Object.entries(regions).map(([region, count]) => `${region}: ${count}`).join(', '));
     
   } else {
     console.error(`❌ Validation failed with ${totalErrors} error(s)`);
@@ -0,0 +1,486 @@
+#!/usr/bin/env node
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Usage: node scripts/validate-pgp.js
+//
+// Checks every pgpKey in certs.json against the ASCII-armored public keys
+// kept in data/pgp/: the key must parse, its key ID and fingerprint must
+// match the stored values, and it must be neither expired nor revoked.
+// Self-signatures are read for expiry and revocation but not
+// cryptographically verified; use gpg when importing a new key.
+//
+// The parser is first run on the test keys in tests/fixtures/pgp/, whose
+// fingerprint, expiry, revocation and verdict are listed in expected.json.
+
+const ROOT = path.join(__dirname, '..');
+const DATA_PATH = path.join(ROOT, 'data/certs.json');
+const KEY_DIR = path.join(ROOT, 'data/pgp');
+const KEY_FILE_PATTERN = /^data\/pgp\/[a-z0-9-]+\.asc$/;
+const FIXTURE_DIR = path.join(ROOT, 'tests/fixtures/pgp');
+
+// Warn this long before a key expires so it can be refreshed in time
+const EXPIRY_WARNING_DAYS = 30;
+
+const TAG_SIGNATURE = 2;
+const TAG_PUBLIC_KEY = 6;
+const TAG_USER_ID = 13;
+const TAG_PUBLIC_SUBKEY = 14;
+
+const SIG_KEY_REVOCATION = 0x20;
+const SIG_DIRECT_KEY = 0x1F;
+const SELF_SIGNATURE_TYPES = [0x10, 0x11, 0x12, 0x13, SIG_DIRECT_KEY];
+
+const SUBPACKET_CREATED = 2;
+const SUBPACKET_KEY_EXPIRES = 9;
+const SUBPACKET_ISSUER = 16;
+const SUBPACKET_ISSUER_FINGERPRINT = 33;
+
+// CRC-24 from RFC 4880 section 6.1
+function crc24(bytes) {
+  let crc = 0xB704CE;
+
+  for (const byte of bytes) {
+    crc ^= byte << 16;
+    for (let i = 0; i < 8; i++) {
+      crc <<= 1;
+      if (crc & 0x1000000) {
+        crc ^= 0x1864CFB;
+      }
+    }
+  }
+
+  return crc & 0xFFFFFF;
+}
+
+function dearmor(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const begin = lines.findIndex(line => line.trim() === '-----BEGIN PGP PUBLIC KEY BLOCK-----');
+  const end = lines.findIndex((line, index) => index > begin && line.trim() === '-----END PGP PUBLIC KEY BLOCK-----');
+
+  if (begin === -1 || end === -1) {
+    throw new Error('not an ASCII-armored public key block');
+  }
+
+  // Armor headers ("Comment: ...") end at the first blank line
+  let body = lines.slice(begin + 1, end).map(line => line.trim());
+  const blank = body.indexOf('');
+  if (blank !== -1 && body.slice(0, blank).every(line => /^[\w-]+: /.test(line))) {
+    body = body.slice(blank + 1);
+  }
+
+  const checksumLine = body.find(line => /^=[A-Za-z0-9+/]{4}$/.test(line));
+  const data = Buffer.from(body.filter(line => line && line !== checksumLine).join(''), 'base64');
+
+  if (data.length === 0) {
+    throw new Error('armored block is empty');
+  }
+
+  if (checksumLine && Buffer.from(checksumLine.slice(1), 'base64').readUIntBE(0, 3) !== crc24(data)) {
+    throw new Error('armor checksum does not match');
+  }
+
+  return data;
+}
+
+function readPackets(data) {
+  const packets = [];
+  let pos = 0;
+
+  while (pos < data.length) {
+    const header = data[pos++];
+    let tag;
+    let length;
+
+    if (!(header & 0x80)) {
+      throw new Error(`invalid packet header at offset ${pos - 1}`);
+    }
+
+    if (header & 0x40) {
+      // New format length (RFC 4880 section 4.2.2)
+      tag = header & 0x3F;
+      const first = data[pos++];
+      if (first < 192) {
+        length = first;
+      } else if (first < 224) {
+        length = ((first - 192) << 8) + data[pos++] + 192;
+      } else if (first === 255) {
+        length = data.readUInt32BE(pos);
+        pos += 4;
+      } else {
+        throw new Error('partial-length packets are not allowed in keys');
+      }
+    } else {
+      // Old format length
+      tag = (header >> 2) & 0x0F;
+      const lengthType = header & 0x03;
+      if (lengthType === 3) {
+        length = data.length - pos;
+      } else {
+        const size = [1, 2, 4][lengthType];
+        length = data.readUIntBE(pos, size);
+        pos += size;
+      }
+    }
+
+    if (pos + length > data.length) {
+      throw new Error('packet runs past the end of the key');
+    }
+
+    packets.push({ tag, body: data.subarray(pos, pos + length) });
+    pos += length;
+  }
+
+  return packets;
+}
+
+function readSubpackets(area) {
+  const subpackets = [];
+  let pos = 0;
+
+  while (pos < area.length) {
+    const first = area[pos++];
+    let length;
+
+    if (first < 192) {
+      length = first;
+    } else if (first < 255) {
+      length = ((first - 192) << 8) + area[pos++] + 192;
+    } else {
+      length = area.readUInt32BE(pos);
+      pos += 4;
+    }
+
+    subpackets.push({ type: area[pos] & 0x7F, body: area.subarray(pos + 1, pos + length) });
+    pos += length;
+  }
+
+  return subpackets;
+}
+
+function parsePublicKey(body) {
+  const version = body[0];
+  const created = new Date(body.readUInt32BE(1) * 1000);
+
+  if (version === 4) {
+    // v4 fingerprint: SHA-1 over 0x99, a two-octet length and the key packet body
+    const prefix = Buffer.from([0x99, body.length >> 8, body.length & 0xFF]);
+    const fingerprint = crypto.createHash('sha1').update(prefix).update(body).digest('hex').toUpperCase();
+    return { version, created, fingerprint, keyId: fingerprint.slice(-16) };
+  }
+
+  if (version === 6) {
+    // v6 fingerprint (RFC 9580): SHA-256 over 0x9B, a four-octet length and the body
+    const prefix = Buffer.alloc(5);
+    prefix[0] = 0x9B;
+    prefix.writeUInt32BE(body.length, 1);
+    const fingerprint = crypto.createHash('sha256').update(prefix).update(body).digest('hex').toUpperCase();
+    return { version, created, fingerprint, keyId: fingerprint.slice(0, 16) };
+  }
+
+  throw new Error(`unsupported public key version ${version}`);
+}
+
+function parseSignature(body) {
+  const version = body[0];
+
+  // v3 signatures carry no subpackets, so they say nothing about expiry
+  if (version !== 4 && version !== 6) {
+    return null;
+  }
+
+  const countSize = version === 6 ? 4 : 2;
+  let pos = 4;
+  const hashedLength = body.readUIntBE(pos, countSize);
+  const hashed = readSubpackets(body.subarray(pos + countSize, pos + countSize + hashedLength));
+  pos += countSize + hashedLength;
+  const unhashedLength = body.readUIntBE(pos, countSize);
+  const unhashed = readSubpackets(body.subarray(pos + countSize, pos + countSize + unhashedLength));
+
+  const signature = { type: body[1], created: null, keyExpiresIn: null, issuers: [] };
+
+  hashed.forEach(({ type, body: value }) => {
+    if (type === SUBPACKET_CREATED) {
+      signature.created = new Date(value.readUInt32BE(0) * 1000);
+    } else if (type === SUBPACKET_KEY_EXPIRES) {
+      signature.keyExpiresIn = value.readUInt32BE(0);
+    }
+  });
+
+  // The issuer may sit in either area
+  [...hashed, ...unhashed].forEach(({ type, body: value }) => {
+    if (type === SUBPACKET_ISSUER) {
+      signature.issuers.push(value.toString('hex').toUpperCase());
+    } else if (type === SUBPACKET_ISSUER_FINGERPRINT) {
+      signature.issuers.push(value.subarray(1).toString('hex').toUpperCase());
+    }
+  });
+
+  return signature;
+}
+
+/**
+ * Parse the primary key of an ASCII-armored OpenPGP public key.
+ *
+ * Returns { version, fingerprint, keyId, created, expires, revoked, userIds }
+ * where expires is null for keys that never expire.
+ */
+function parseArmoredKey(text) {
+  const packets = readPackets(dearmor(text));
+
+  if (packets.length === 0 || packets[0].tag !== TAG_PUBLIC_KEY) {
+    throw new Error('key block does not start with a public key packet');
+  }
+
+  const key = parsePublicKey(packets[0].body);
+  const isSelf = signature => signature.issuers.length === 0 ||
+    signature.issuers.some(issuer => issuer === key.keyId || issuer === key.fingerprint);
+
+  // Only the signatures before the first subkey describe the primary key
+  const subkeyIndex = packets.findIndex(packet => packet.tag === TAG_PUBLIC_SUBKEY);
+  const primaryPackets = subkeyIndex === -1 ? packets.slice(1) : packets.slice(1, subkeyIndex);
+  const signatures = primaryPackets
+    .filter(packet => packet.tag === TAG_SIGNATURE)
+    .map(packet => parseSignature(packet.body))
+    .filter(signature => signature && isSelf(signature));
+
+  // The newest self-signature carries the current expiry
+  const latest = signatures
+    .filter(signature => SELF_SIGNATURE_TYPES.includes(signature.type))
+    .sort((a, b) => (b.created || 0) - (a.created || 0))[0];
+  const expiresIn = latest ? latest.keyExpiresIn : null;
+
+  return {
+    version: key.version,
+    fingerprint: key.fingerprint,
+    keyId: key.keyId,
+    created: key.created,
+    expires: expiresIn ? new Date(key.created.getTime() + expiresIn * 1000) : null,
+    revoked: signatures.some(signature => signature.type === SIG_KEY_REVOCATION),
+    userIds: primaryPackets
+      .filter(packet => packet.tag === TAG_USER_ID)
+      .map(packet => packet.body.toString('utf8'))
+  };
+}
+
+// "7F4C 8FA6 ..." or "0x1B45CF2A" -> upper-case hex without spaces or prefix
+function normalizeHex(value) {
+  return String(value || '').replace(/^0x/i, '').replace(/\s+/g, '').toUpperCase();
+}
+
+// Group a fingerprint in blocks of four, the way certs.json stores it
+function formatFingerprint(fingerprint) {
+  return normalizeHex(fingerprint).match(/.{1,4}/g).join(' ');
+}
+
+// A key ID is the tail of a v4 fingerprint or the head of a v6 one
+function keyIdMatches(keyId, fingerprint) {
+  const id = normalizeHex(keyId);
+  const hex = normalizeHex(fingerprint);
+  return hex.length === 64 ? hex.startsWith(id) : hex.endsWith(id);
+}
+
+// Check one key record ({ keyId, fingerprint, keyFile }); label names it in messages
+function checkKeyRecord(pgpKey, label, fileName, now) {
+  const errors = [];
+  const warnings = [];
+
+  const keyId = normalizeHex(pgpKey.keyId);
+  if (!/^([0-9A-F]{8}|[0-9A-F]{16})$/.test(keyId)) {
+    errors.push(`${label}.keyId "${pgpKey.keyId}" is not an 8 or 16 digit hex key ID`);
+  }
+
+  if (pgpKey.fingerprint) {
+    const fingerprint = normalizeHex(pgpKey.fingerprint);
+    if (!/^([0-9A-F]{40}|[0-9A-F]{64})$/.test(fingerprint)) {
+      errors.push(`${label}.fingerprint must be 40 (v4) or 64 (v6) hex digits`);
+    } else if (!keyIdMatches(keyId, fingerprint)) {
+      errors.push(`${label}.keyId ${pgpKey.keyId} does not belong to fingerprint ${pgpKey.fingerprint}`);
+    }
+  } else {
+    warnings.push(`no ${label}.fingerprint stored; key ID alone is not enough to authenticate the key`);
+  }
+
+  if (!pgpKey.keyFile) {
+    warnings.push(`key is not in the offline store (add data/pgp/${fileName}.asc and ${label}.keyFile)`);
+    return { errors, warnings, key: null };
+  }
+
+  if (!KEY_FILE_PATTERN.test(pgpKey.keyFile)) {
+    errors.push(`${label}.keyFile must look like data/pgp/${fileName}.asc`);
+    return { errors, warnings, key: null };
+  }
+
+  const keyPath = path.join(ROOT, pgpKey.keyFile);
+  if (!fs.existsSync(keyPath)) {
+    errors.push(`${label}.keyFile ${pgpKey.keyFile} does not exist`);
+    return { errors, warnings, key: null };
+  }
+
+  let key;
+  try {
+    key = parseArmoredKey(fs.readFileSync(keyPath, 'utf8'));
+  } catch (error) {
+    errors.push(`${pgpKey.keyFile}: ${error.message}`);
+    return { errors, warnings, key: null };
+  }
+
+  if (!pgpKey.fingerprint) {
+    warnings.push(`fingerprint from key file: "${formatFingerprint(key.fingerprint)}"`);
+  } else if (normalizeHex(pgpKey.fingerprint) !== key.fingerprint) {
+    errors.push(`${label}.fingerprint does not match ${pgpKey.keyFile} (${formatFingerprint(key.fingerprint)})`);
+  }
+
+  if (!keyIdMatches(keyId, key.fingerprint)) {
+    errors.push(`${label}.keyId ${pgpKey.keyId} does not match ${pgpKey.keyFile} (0x${key.keyId})`);
+  }
+
+  const status = checkKeyStatus(key, pgpKey.keyFile, now);
+  return { errors: [...errors, ...status.errors], warnings: [...warnings, ...status.warnings], key };
+}
+
+// Revocation and expiry of a parsed key; keyFile names it in messages
+function checkKeyStatus(key, keyFile, now) {
+  const errors = [];
+  const warnings = [];
+
+  if (key.revoked) {
+    errors.push(`${keyFile} has been revoked`);
+  }
+
+  if (key.expires) {
+    const daysLeft = Math.floor((key.expires - now) / (24 * 60 * 60 * 1000));
+    const expiresOn = key.expires.toISOString().slice(0, 10);
+
+    if (key.expires <= now) {
+      errors.push(`${keyFile} expired on ${expiresOn}`);
+    } else if (daysLeft < EXPIRY_WARNING_DAYS) {
+      warnings.push(`${keyFile} expires on ${expiresOn} (${daysLeft} days left)`);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+function checkCertKey(cert, now = new Date()) {
+  const pgpKey = cert.pgpKey || {};
+
+  if (!pgpKey.available) {
+    return { errors: pgpKey.keyFile ? ['pgpKey.keyFile is set but available is false'] : [], warnings: [], key: null };
+  }
+
+  return checkKeyRecord(pgpKey, 'pgpKey', cert.id, now);
+}
+
+// Channels such as a reporting address may publish their own key
+function checkContactKeys(cert, now = new Date()) {
+  return (cert.contacts || [])
+    .map((contact, index) => ({ contact, index }))
+    .filter(({ contact }) => contact.pgpKey)
+    .map(({ contact, index }) => ({
+      contact,
+      ...checkKeyRecord(contact.pgpKey, `contacts[${index}].pgpKey`, `${cert.id}-${contact.type}`, now)
+    }));
+}
+
+/**
+ * Parse each test key and compare it with expected.json: { checkedAt,
+ * keys: { <file>: { fingerprint, expires, revoked, accepted } } }, where
+ * accepted says whether the key passes at checkedAt. Returns the mismatches.
+ */
+function checkFixtures(dir = FIXTURE_DIR) {
+  const { checkedAt, keys } = JSON.parse(fs.readFileSync(path.join(dir, 'expected.json'), 'utf8'));
+  const now = new Date(checkedAt);
+
+  return Object.entries(keys).flatMap(([file, expected]) => {
+    let key;
+    try {
+      key = parseArmoredKey(fs.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (error) {
+      return [`${file}: ${error.message}`];
+    }
+
+    const actual = {
+      fingerprint: formatFingerprint(key.fingerprint),
+      expires: key.expires ? key.expires.toISOString() : null,
+      revoked: key.revoked,
+      accepted: checkKeyStatus(key, file, now).errors.length === 0
+    };
+
+    return Object.keys(expected)
+      .filter(field => actual[field] !== expected[field])
+      .map(field => `${file}: ${field} is ${JSON.stringify(actual[field])}, expected ${JSON.stringify(expected[field])}`);
+  });
+}
+
+function main() {
+  console.log('🧪 Checking the key parser against tests/fixtures/pgp...');
+
+  const fixtureErrors = checkFixtures();
+  fixtureErrors.forEach(error => console.error(`❌ ${error}`));
+  if (fixtureErrors.length > 0) {
+    console.error(`❌ The key parser gave ${fixtureErrors.length} unexpected result(s); stored keys cannot be trusted to it`);
+    process.exit(1);
+  }
+
+  console.log('✅ Test keys parse as expected\n');
+  console.log('🔐 Validating PGP keys...');
+
+  const certs = JSON.parse(fs.readFileSync(DATA_PATH, 'utf8'));
+  const referenced = new Set();
+  let errorCount = 0;
+  let warningCount = 0;
+  let storedCount = 0;
+
+  certs.forEach(cert => {
+    const results = [{ ...checkCertKey(cert), keyFile: cert.pgpKey && cert.pgpKey.keyFile }];
+    checkContactKeys(cert).forEach(result => results.push({ ...result, keyFile: result.contact.pgpKey.keyFile }));
+
+    results.forEach(({ errors, warnings, key, keyFile, contact }) => {
+      const label = contact ? `${cert.id} (${contact.value})` : cert.id;
+
+      if (keyFile) {
+        referenced.add(path.basename(keyFile));
+      }
+
+      if (key) {
+        storedCount++;
+        const expiry = key.expires ? `expires ${key.expires.toISOString().slice(0, 10)}` : 'no expiry';
+        console.log(`✅ ${label}: 0x${key.keyId} (${expiry})`);
+      }
+
+      errors.forEach(error => console.error(`❌ ${label}: ${error}`));
+      warnings.forEach(warning => console.warn(`⚠️  ${label}: ${warning}`));
+      errorCount += errors.length;
+      warningCount += warnings.length;
+    });
+  });
+
+  if (fs.existsSync(KEY_DIR)) {
+    fs.readdirSync(KEY_DIR)
+      .filter(file => file.endsWith('.asc') && !referenced.has(file))
+      .forEach(file => {
+        console.warn(`⚠️  data/pgp/${file} is not referenced by any entry`);
+        warningCount++;
+      });
+  }
+
+  const withPgp = certs.filter(cert => cert.pgpKey && cert.pgpKey.available).length +
+    certs.reduce((count, cert) => count + (cert.contacts || []).filter(contact => contact.pgpKey).length, 0);
+  console.log(`\n📈 Summary: ${storedCount}/${withPgp} PGP keys in the offline store, ${warningCount} warning(s)`);
+
+  if (errorCount > 0) {
+    console.error(`❌ PGP validation failed with ${errorCount} error(s)`);
+    process.exit(1);
+  }
+
+  console.log('✅ PGP key validation passed!');
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { parseArmoredKey, checkCertKey, checkContactKeys, checkFixtures, formatFingerprint };
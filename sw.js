@@ -2,10 +2,29 @@ const CACHE_NAME = 'certopedia-v1';
 const urlsToCache = [
   '/',
   '/index.html',
+  '/api.html',
   '/assets/css/styles.css',
+  '/assets/js/search.js',
+  '/assets/js/filters.js',
+  '/assets/js/countries.js',
+  '/assets/js/contacts.js',
+  '/assets/js/i18n.js',
+  '/assets/js/export.js',
+  '/assets/js/coverage.js',
+  '/assets/js/map.js',
   '/assets/js/main.js',
+  '/assets/js/openapi.js',
+  '/assets/js/api-reference.js',
+  '/assets/i18n/en.json',
+  '/assets/i18n/es.json',
+  '/assets/i18n/fr.json',
+  '/assets/i18n/pt.json',
   '/data/certs.json',
-  '/assets/images/favicon.svg'
+  '/data/countries.json',
+  '/data/openapi.json',
+  '/data/cert.schema.json',
+  '/assets/images/favicon.svg',
+  '/assets/images/world-map.svg'
 ];
 
 self.addEventListener('install', (event) => {